@@ -1,14 +1,25 @@
 // config/multer.js
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 
-const storage = multer.diskStorage({
+const uploadDir = (folder) => {
+  const dir = path.join(__dirname, '../uploads', folder);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+};
+
+const uniqueFilename = (file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname);
+};
+
+const createStorage = (folder) => multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '../uploads/committees'));
+    cb(null, uploadDir(folder));
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, uniqueFilename(file));
   }
 });
 
@@ -23,10 +34,24 @@ const fileFilter = (req, file, cb) => {
   cb(new Error('Only PDF, DOC, and DOCX files are allowed!'));
 };
 
-const upload = multer({
-  storage: storage,
+// Build an uploader that stores files under uploads/<folder>
+const createUpload = (folder) => multer({
+  storage: createStorage(folder),
   fileFilter: fileFilter,
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-module.exports = upload;
\ No newline at end of file
+// Keep files in memory for uploads that must never reach disk in plaintext
+const createMemoryUpload = () => multer({
+  storage: multer.memoryStorage(),
+  fileFilter: fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+const upload = createUpload('committees');
+
+module.exports = upload;
+module.exports.createUpload = createUpload;
+module.exports.createMemoryUpload = createMemoryUpload;
+module.exports.uploadDir = uploadDir;
+module.exports.uniqueFilename = uniqueFilename;
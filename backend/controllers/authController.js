@@ -2,36 +2,36 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/userModel.js');
 const AppError = require('../utils/appError.js');
 const catchAsync = require('../utils/catchAsync.js');
+const createLogger = require('../utils/logger.js');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
-const winston = require('winston');
-
-// Set up Winston logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/email.log' }),
-    new winston.transports.Console()
-  ]
+const notifications = require('../services/notifications');
+const sessions = require('../services/sessions.js');
+
+const logger = createLogger('email');
+
+const REFRESH_COOKIE = 'refreshToken';
+// The refresh cookie is only ever sent to the auth routes that use it
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+const cookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Secure in production
 });
 
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN, // e.g., '30d'
-  });
+const clearAuthCookies = (res) => {
+  res.clearCookie('jwt', cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions(), path: REFRESH_COOKIE_PATH });
 };
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  
-  res.cookie('jwt', token, {
-    expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // Secure in production
+const sendTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = sessions.signAccessToken(user, session);
+  const tokenExpires = new Date(jwt.decode(token).exp * 1000);
+
+  res.cookie('jwt', token, cookieOptions(tokenExpires));
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(session.expiresAt),
+    path: REFRESH_COOKIE_PATH,
   });
 
   user.password = undefined;
@@ -40,10 +40,20 @@ const createSendToken = (user, statusCode, res) => {
   res.status(statusCode).json({
     status: 'success',
     token,
+    tokenExpires,
+    refreshToken,
     data: { user },
   });
 };
 
+// Every sign-in starts a new session for the device it came from
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await sessions.createSession(user, req);
+  sendTokens(user, session, refreshToken, statusCode, res);
+};
+
+const refreshTokenFrom = (req) => req.cookies?.[REFRESH_COOKIE] || req.body.refreshToken;
+
 exports.register = catchAsync(async (req, res, next) => {
   const newUser = await User.create({
     name: req.body.name,
@@ -67,7 +77,7 @@ exports.register = catchAsync(async (req, res, next) => {
     permissions: newUser.permissions,
   });
   
-  createSendToken(newUser, 201, res);
+  await createSendToken(newUser, 201, req, res);
 });
 
 exports.login = catchAsync(async (req, res, next) => {
@@ -91,30 +101,17 @@ exports.login = catchAsync(async (req, res, next) => {
     const otp = user.createOTP();
     await user.save({ validateBeforeSave: false });
     
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
-
     try {
-      await transporter.sendMail({
-        from: process.env.EMAIL_FROM,
+      // Queued for retry if the first delivery attempt fails
+      const message = await notifications.send('login-otp', {
         to: user.email,
-        subject: 'Your OTP for Login',
-        html: `
-          <h1>One-Time Password (OTP)</h1>
-          <p>Hello ${user.name},</p>
-          <p>Your OTP for login is <strong>${otp}</strong>.</p>
-          <p>This OTP is valid for 10 minutes.</p>
-          <p>If you did not request this, please ignore this email.</p>
-        `,
+        data: { name: user.name, otp },
+        expiresAt: user.otpExpires,
       });
-      logger.info('OTP email sent:', {
+      logger.info('Login OTP issued:', {
         userId: user._id,
         email: user.email,
+        messageStatus: message.status,
         timestamp: new Date().toISOString(),
       });
       
@@ -145,14 +142,15 @@ exports.login = catchAsync(async (req, res, next) => {
       permissions: user.permissions,
     });
     
-    createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
   }
 });
 
 exports.verifyOTP = catchAsync(async (req, res, next) => {
-  const { userId, otp } = req.body;
+  const { userId } = req.body;
+  const otp = typeof req.body.otp === 'number' ? String(req.body.otp) : req.body.otp;
 
-  if (!userId || !otp) {
+  if (!userId || !otp || typeof otp !== 'string') {
     return next(new AppError('Please provide user ID and OTP', 400));
   }
 
@@ -179,7 +177,7 @@ exports.verifyOTP = catchAsync(async (req, res, next) => {
     timestamp: new Date().toISOString(),
   });
 
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
 });
 
 exports.protect = catchAsync(async (req, res, next) => {
@@ -208,7 +206,14 @@ exports.protect = catchAsync(async (req, res, next) => {
       return next(new AppError('Password changed - please log in again', 401));
     }
 
+    // Tokens issued before sessions existed carry no session ID and are refused
+    const session = decoded.sid && (await sessions.findActiveSession(decoded.sid, currentUser._id));
+    if (!session) {
+      return next(new AppError('Your session has ended - please log in again', 401));
+    }
+
     req.user = currentUser;
+    req.authSession = session;
     next();
   } catch (err) {
     console.error('JWT Verification Error:', err.message);
@@ -216,6 +221,9 @@ exports.protect = catchAsync(async (req, res, next) => {
   }
 });
 
+// Like protect, but lets signed-out requests through without req.user
+exports.optionalProtect = (req, res, next) => exports.protect(req, res, () => next());
+
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -227,6 +235,104 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/v1/auth/refresh
+exports.refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = refreshTokenFrom(req);
+  if (!refreshToken) {
+    return next(new AppError('Refresh token required', 401));
+  }
+
+  try {
+    const rotated = await sessions.rotate(refreshToken, req);
+    sendTokens(rotated.user, rotated.session, rotated.refreshToken, 200, res);
+  } catch (err) {
+    // A concurrent refresh has just set the new cookies; leave them in place
+    if (err.statusCode !== 409) clearAuthCookies(res);
+    throw err;
+  }
+});
+
+// @desc    Log out of this device; the refresh token and access token stop working
+// @route   POST /api/v1/auth/logout
+exports.logout = catchAsync(async (req, res, next) => {
+  let session = await sessions.revokeByRefreshToken(refreshTokenFrom(req));
+
+  // The access token's session may differ from the refresh token's, or come without one
+  if (req.authSession && !(session && session._id.equals(req.authSession._id))) {
+    session = await sessions.revokeSession(req.user._id, req.authSession._id, 'logout');
+  }
+  clearAuthCookies(res);
+
+  if (session) {
+    console.log('User logged out:', {
+      timestamp: new Date().toISOString(),
+      userId: session.user,
+      sessionId: session._id,
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out successfully',
+  });
+});
+
+const toSessionSummary = (session, currentId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentId.toString(),
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/v1/auth/sessions
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const active = await sessions.listSessions(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: active.length,
+    data: { sessions: active.map((session) => toSessionSummary(session, req.authSession._id)) },
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/v1/auth/sessions/:sessionId
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const session = await sessions.revokeSession(req.user._id, req.params.sessionId);
+  if (session._id.toString() === req.authSession._id.toString()) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked',
+  });
+});
+
+// @desc    Revoke all of the current user's sessions; ?keepCurrent=true spares this one
+// @route   DELETE /api/v1/auth/sessions
+exports.revokeAllSessions = catchAsync(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+  const revoked = await sessions.revokeAllSessions(
+    req.user._id,
+    'revoked',
+    keepCurrent ? req.authSession._id : undefined
+  );
+  if (!keepCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `${revoked} session(s) revoked`,
+  });
+});
+
 exports.forgotPassword = catchAsync(async (req, res, next) => {
   const user = await User.findOne({ email: req.body.email });
   if (!user) {
@@ -241,6 +347,12 @@ exports.forgotPassword = catchAsync(async (req, res, next) => {
       'host'
     )}/api/v1/auth/reset-password/${resetToken}`;
     
+    await notifications.send('password-reset', {
+      to: user.email,
+      data: { name: user.name, resetURL },
+      expiresAt: user.passwordResetExpires,
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Token sent to email!',
@@ -276,8 +388,9 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   user.passwordResetToken = undefined;
   user.passwordResetExpires = undefined;
   await user.save();
+  await sessions.revokeAllSessions(user._id, 'password_changed');
   
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
@@ -289,8 +402,9 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   
   user.password = req.body.password;
   await user.save();
+  await sessions.revokeAllSessions(user._id, 'password_changed');
   
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
 });
 
 exports.getAllUsers = catchAsync(async (req, res, next) => {
@@ -355,6 +469,9 @@ exports.updateUser = catchAsync(async (req, res, next) => {
 
     Object.assign(user, allowedUpdates);
     await user.save({ validateBeforeSave: true });
+    if (allowedUpdates.isActive === false) {
+      await sessions.revokeAllSessions(user._id, 'revoked');
+    }
 
     console.log('User updated:', {
       timestamp: new Date().toISOString(),
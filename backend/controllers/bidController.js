@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const Bid = require('../models/bidModel.js');
+const Tender = require('../models/tenderModel.js');
+const Vendor = require('../models/vendorModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const bidCrypto = require('../utils/bidCrypto.js');
+const { uploadDir, uniqueFilename } = require('../config/multer.js');
+const sealedBids = require('../services/sealedBids.js');
+const conflictOfInterest = require('../services/conflictOfInterest.js');
+const documentAccess = require('../services/documentAccess.js');
+
+const removeFiles = (paths = []) => {
+  paths.forEach((filePath) => {
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Error deleting bid file:', err);
+    });
+  });
+};
+
+const findTender = async (tenderId) => {
+  const tender = await Tender.findById(tenderId);
+  if (!tender) {
+    throw new AppError('No tender found with that ID', 404);
+  }
+  return tender;
+};
+
+// Bid metadata that is safe to show while the bid is sealed
+const sealedView = (bid) => ({
+  _id: bid._id,
+  tender: bid.tender,
+  vendor: bid.vendor,
+  submissionDate: bid.submissionDate,
+  status: bid.status,
+  bidSecurity: bid.bidSecurity,
+  documents: bid.documents.map((doc) => ({
+    _id: doc._id,
+    originalname: doc.originalname,
+    mimetype: doc.mimetype,
+    size: doc.size,
+  })),
+});
+
+const openedView = (bid) => ({
+  ...sealedView(bid),
+  bidAmount: sealedBids.revealAmount(bid),
+});
+
+// @desc    Submit a sealed bid for a published tender
+// @route   POST /api/v1/tenders/:tenderId/bids
+exports.submitBid = catchAsync(async (req, res, next) => {
+  const encryptedPaths = [];
+
+  try {
+    const tender = await findTender(req.params.tenderId);
+    if (tender.status !== 'published' || tender.openingDate <= Date.now()) {
+      throw new AppError('This tender is not accepting bids', 409);
+    }
+
+    const vendor = await Vendor.findOne({ user: req.user._id });
+    if (!vendor || vendor.status !== 'approved') {
+      throw new AppError('Only approved vendors can submit bids', 403);
+    }
+
+    const bidAmount = Number(req.body.bidAmount);
+    if (!Number.isFinite(bidAmount) || bidAmount <= 0) {
+      throw new AppError('Please provide a valid bid amount', 400);
+    }
+
+    const documents = [];
+    for (const file of req.files || []) {
+      const filename = `${uniqueFilename(file)}.enc`;
+      const encrypted = await bidCrypto.encryptToFile(
+        file.buffer,
+        path.join(uploadDir('bids'), filename)
+      );
+      encryptedPaths.push(encrypted.path);
+      documents.push({
+        filename,
+        path: encrypted.path,
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        iv: encrypted.iv,
+        tag: encrypted.tag,
+      });
+    }
+
+    const bid = await Bid.create({
+      tender: tender._id,
+      vendor: vendor._id,
+      submittedBy: req.user._id,
+      sealedAmount: bidCrypto.encryptValue(bidAmount),
+      bidSecurity: req.body.bidSecurityAmount ? {
+        amount: req.body.bidSecurityAmount,
+        reference: req.body.bidSecurityReference,
+        issuer: req.body.bidSecurityIssuer,
+        validUntil: req.body.bidSecurityValidUntil,
+      } : undefined,
+      documents,
+    });
+
+    console.log('Sealed bid submitted:', {
+      timestamp: new Date().toISOString(),
+      bidId: bid._id,
+      tenderId: tender._id,
+      vendorId: vendor._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { bid: sealedView(bid) },
+    });
+  } catch (error) {
+    removeFiles(encryptedPaths);
+    if (error.code === 11000) {
+      throw new AppError('You have already submitted a bid for this tender', 409);
+    }
+    throw error;
+  }
+});
+
+// @desc    Get the current vendor's bid for a tender
+// @route   GET /api/v1/tenders/:tenderId/bids/mine
+exports.getMyBid = catchAsync(async (req, res, next) => {
+  const vendor = await Vendor.findOne({ user: req.user._id });
+  const bid = vendor && (await Bid.findOne({ tender: req.params.tenderId, vendor: vendor._id }));
+
+  if (!bid) {
+    return next(new AppError('You have not submitted a bid for this tender', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { bid: sealedView(bid) },
+  });
+});
+
+// @desc    List bids; amounts are only included once bids are opened
+// @route   GET /api/v1/tenders/:tenderId/bids
+exports.getBids = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+
+  const opened = Boolean(tender.bidsOpenedAt);
+  if (opened) {
+    await conflictOfInterest.assertDeclared(tender, req.user);
+  }
+  const bids = await Bid.find({ tender: tender._id })
+    .select(opened ? '+sealedAmount' : '')
+    .sort('submissionDate')
+    .populate('vendor', 'companyName registrationNumber');
+
+  res.status(200).json({
+    status: 'success',
+    results: bids.length,
+    data: {
+      bidsOpenedAt: tender.bidsOpenedAt,
+      bids: bids.map(opened ? openedView : sealedView),
+    },
+  });
+});
+
+// @desc    Get a single opened bid
+// @route   GET /api/v1/tenders/:tenderId/bids/:bidId
+exports.getBid = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+  sealedBids.assertBidsOpened(tender, req.user, { bidId: req.params.bidId, action: 'view_bid' });
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const bid = await Bid.findOne({ _id: req.params.bidId, tender: tender._id })
+    .select('+sealedAmount')
+    .populate('vendor', 'companyName registrationNumber');
+
+  if (!bid) {
+    return next(new AppError('No bid found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { bid: openedView(bid) },
+  });
+});
+
+// Decrypted bid documents are confidential: every PDF copy carries the
+// viewer's watermark, and prints count against the tender's bid print limit
+// A bid document and its access history are open to declared team members once bids are opened
+const loadBidDocument = async (req, action) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+  sealedBids.assertBidsOpened(tender, req.user, {
+    bidId: req.params.bidId,
+    documentId: req.params.docId,
+    action,
+  });
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const bid = await Bid.findOne({ _id: req.params.bidId, tender: tender._id });
+  const document = bid && bid.documents.id(req.params.docId);
+  if (!document) {
+    throw new AppError('No bid document found with that ID', 404);
+  }
+  return { tender, bid, document };
+};
+
+const sendBidDocument = (action) =>
+  catchAsync(async (req, res, next) => {
+    const { tender, bid, document } = await loadBidDocument(req, `${action}_document`);
+
+    await documentAccess.sendFile(req, res, {
+      target: {
+        resource: { kind: 'bid_document', id: document._id, parent: bid._id, name: document.originalname },
+      },
+      action,
+      contents: await bidCrypto.decryptFile(document.path, document),
+      name: document.originalname,
+      mimetype: document.mimetype,
+      watermark: true,
+      printLimit: tender.bidPrintLimit,
+    });
+
+    sealedBids.logger.info(`Bid document ${action}:`, {
+      tenderId: tender._id,
+      bidId: bid._id,
+      documentId: document._id,
+      userId: req.user._id,
+      traceId: res.get('X-Trace-Id'),
+      ipAddress: req.ip,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+// @route   GET /api/v1/tenders/:tenderId/bids/:bidId/documents/:docId
+exports.downloadBidDocument = sendBidDocument('download');
+
+// @route   GET /api/v1/tenders/:tenderId/bids/:bidId/documents/:docId/view
+exports.viewBidDocument = sendBidDocument('view');
+
+// @route   GET /api/v1/tenders/:tenderId/bids/:bidId/documents/:docId/print
+exports.printBidDocument = sendBidDocument('print');
+
+// @desc    Access history of a bid document, in the shape AccessLogDialog expects
+// @route   GET /api/v1/tenders/:tenderId/bids/:bidId/documents/:docId/access-log
+exports.getBidDocumentAccessLog = catchAsync(async (req, res, next) => {
+  const { bid, document } = await loadBidDocument(req, 'view_access_log');
+  const accessHistory = await documentAccess.getAccessHistory({
+    resource: { kind: 'bid_document', id: document._id },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      document: {
+        id: document._id,
+        name: document.originalname,
+        type: document.mimetype,
+        size: document.size,
+        uploadedAt: bid.submissionDate,
+        isConfidential: true,
+        accessHistory,
+      },
+    },
+  });
+});
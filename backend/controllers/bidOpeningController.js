@@ -0,0 +1,125 @@
+const BidOpening = require('../models/bidOpeningModel.js');
+const Tender = require('../models/tenderModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const createLogger = require('../utils/logger.js');
+const bidOpening = require('../services/bidOpening.js');
+const sealedBids = require('../services/sealedBids.js');
+const conflictOfInterest = require('../services/conflictOfInterest.js');
+const notifications = require('../services/notifications');
+const documentAccess = require('../services/documentAccess.js');
+
+const logger = createLogger('email');
+
+const findTender = async (tenderId) => {
+  const tender = await Tender.findById(tenderId);
+  if (!tender) {
+    throw new AppError('No tender found with that ID', 404);
+  }
+  return tender;
+};
+
+// @desc    Email the current team member an OTP to approve the bid opening
+// @route   POST /api/v1/tenders/:tenderId/bid-opening/otp
+exports.requestOtp = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  const { user, otp } = await bidOpening.requestApprovalOtp(tender, req.user);
+
+  try {
+    await notifications.send('bid-opening-otp', {
+      to: user.email,
+      data: { name: user.name, tenderTitle: tender.title, otp },
+      expiresAt: user.otpExpires,
+    });
+    logger.info('Bid opening OTP issued:', {
+      userId: user._id,
+      tenderId: tender._id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    user.otpCode = undefined;
+    user.otpExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    logger.error('Error sending bid opening OTP email:', {
+      userId: user._id,
+      tenderId: tender._id,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+    return next(new AppError('Failed to send OTP. Please try again.', 500));
+  }
+
+  res.status(200).json({
+    status: 'otp_required',
+    message: 'OTP sent to your registered email',
+  });
+});
+
+// @desc    Approve the bid opening with an OTP
+// @route   POST /api/v1/tenders/:tenderId/bid-opening/approve
+exports.approveOpening = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  const opening = await bidOpening.approveOpening(tender, req.user, req.body.otp);
+
+  console.log('Bid opening approved:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    approvedBy: req.user._id,
+    status: opening.status,
+  });
+
+  // Bid amounts are read through getOpening, which checks the declaration again
+  const { bidders, ...summary } = opening.toObject();
+
+  res.status(200).json({
+    status: 'success',
+    data: { bidOpening: { ...summary, bidderCount: bidders.length } },
+  });
+});
+
+// @desc    Get the bid opening status or record
+// @route   GET /api/v1/tenders/:tenderId/bid-opening
+exports.getOpening = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+
+  const opening = await BidOpening.findOne({ tender: tender._id })
+    .populate('approvals.user', 'name email employeeId');
+
+  if (opening && opening.status === 'completed') {
+    await conflictOfInterest.assertDeclared(tender, req.user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quorum: bidOpening.getQuorumRoles(),
+      bidOpening: opening,
+    },
+  });
+});
+
+// @desc    Download the minutes of a completed bid opening
+// @route   GET /api/v1/tenders/:tenderId/bid-opening/minutes
+exports.downloadMinutes = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const opening = await BidOpening.findOne({ tender: tender._id, status: 'completed' })
+    .populate('approvals.user', 'name email employeeId');
+
+  if (!opening) {
+    return next(new AppError('Bids for this tender have not been opened yet', 404));
+  }
+
+  const reference = (tender.ifbNumber || tender._id.toString()).replace(/[^\w-]+/g, '-');
+  const name = `bid-opening-minutes-${reference}.txt`;
+
+  await documentAccess.sendFile(req, res, {
+    target: { resource: { kind: 'bid_opening_minutes', id: opening._id, parent: tender._id, name } },
+    contents: bidOpening.renderMinutes(opening, tender),
+    name,
+    mimetype: 'text/plain',
+  });
+});
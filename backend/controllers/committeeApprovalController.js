@@ -0,0 +1,150 @@
+const Committee = require('../models/committeFormModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const committeeApproval = require('../services/committeeApproval.js');
+const { buildMembers } = require('../services/committeeMembers.js');
+const inbox = require('../services/inbox.js');
+const realtime = require('../services/realtime.js');
+const reminderScheduler = require('../services/reminderScheduler.js');
+const User = require('../models/userModel.js');
+
+const findCommittee = async (id) => {
+  const committee = await Committee.findById(id);
+  if (!committee) {
+    throw new AppError('No committee found with that ID', 404);
+  }
+  return committee;
+};
+
+const populateCommittee = (id) =>
+  Committee.findById(id)
+    .populate('createdBy', 'name email role employeeId')
+    .populate('approval.submittedBy approval.decidedBy', 'name email employeeId')
+    .populate('amendments.requestedBy amendments.decidedBy', 'name email employeeId');
+
+// Push the new approval state to open dashboards of everyone on the committee
+const publishApprovalChange = async (committee, extraUserIds = []) => {
+  const audience = await inbox.committeeAudience(committee);
+  realtime.publish([...audience, ...extraUserIds], 'committee.approval', {
+    committeeId: committee._id,
+    name: committee.name,
+    approvalStatus: committee.approvalStatus,
+    approval: committee.approval,
+    pendingAmendment: committee.amendments.find((amendment) => amendment.status === 'pending') || null,
+  });
+};
+
+const respond = async (res, committee, statusCode = 200) => {
+  res.status(statusCode).json({
+    status: 'success',
+    data: { committee: await populateCommittee(committee._id) },
+  });
+};
+
+// @desc    Submit a committee for approval
+// @route   POST /api/v1/committees/:id/submit
+exports.submitCommittee = catchAsync(async (req, res, next) => {
+  const committee = await findCommittee(req.params.id);
+  committeeApproval.submit(committee, req.user);
+  await committee.save();
+
+  const approver = await committeeApproval.resolveApprover(committee);
+  const approverIds = approver
+    ? [approver]
+    : (await User.find({ role: 'admin', isActive: true }).select('_id')).map((user) => user._id);
+  await inbox.notifyUsers(approverIds, {
+    type: 'status_change',
+    message: `Committee ${committee.name} is awaiting your approval`,
+    committeeInfo: { committeeId: committee._id, formationDate: committee.formationDate },
+  });
+  await publishApprovalChange(committee, approverIds);
+
+  console.log('Committee submitted for approval:', {
+    timestamp: new Date().toISOString(),
+    committeeId: committee._id,
+    approver: approver || 'admin',
+    submittedBy: req.user._id,
+  });
+
+  await respond(res, committee);
+});
+
+// @desc    Approve or reject a submitted committee; rejection needs a reason
+// @route   POST /api/v1/committees/:id/approve
+// @route   POST /api/v1/committees/:id/reject
+exports.decideCommittee = (decision) =>
+  catchAsync(async (req, res, next) => {
+    const committee = await findCommittee(req.params.id);
+    await committeeApproval.decide(committee, decision, req.user, req.body.reason);
+    await committee.save();
+
+    await inbox.notifyUsers([committee.createdBy], {
+      type: 'status_change',
+      message: decision === 'approved'
+        ? `Committee ${committee.name} was approved`
+        : `Committee ${committee.name} was rejected: ${committee.approval.rejectionReason}`,
+      committeeInfo: { committeeId: committee._id, formationDate: committee.formationDate },
+    });
+    await publishApprovalChange(committee);
+    await reminderScheduler.syncCommittee(committee);
+
+    await respond(res, committee);
+  });
+
+// @desc    Request an amendment to an approved committee's membership or dates
+// @route   POST /api/v1/committees/:id/amendments
+exports.requestAmendment = catchAsync(async (req, res, next) => {
+  const committee = await findCommittee(req.params.id);
+
+  const changes = {
+    formationDate: req.body.formationDate,
+    specificationSubmissionDate: req.body.specificationSubmissionDate,
+    reviewDate: req.body.reviewDate,
+  };
+  if (req.body.members && req.body.members.length > 0) {
+    changes.members = await buildMembers(req.body.members);
+  }
+  Object.keys(changes).forEach(
+    (key) => changes[key] === undefined && delete changes[key]
+  );
+
+  committeeApproval.requestAmendment(committee, changes, req.body.reason, req.user);
+  await committee.save();
+  await publishApprovalChange(committee);
+
+  await respond(res, committee, 201);
+});
+
+// @desc    Approve or reject a pending amendment; approval applies the changes
+// @route   POST /api/v1/committees/:id/amendments/:amendmentId/approve
+// @route   POST /api/v1/committees/:id/amendments/:amendmentId/reject
+exports.decideAmendment = (decision) =>
+  catchAsync(async (req, res, next) => {
+    const committee = await findCommittee(req.params.id);
+    const amendment = await committeeApproval.decideAmendment(
+      committee,
+      req.params.amendmentId,
+      decision,
+      req.user,
+      req.body.reason
+    );
+    await committee.save();
+
+    await inbox.notifyUsers([amendment.requestedBy], {
+      type: 'status_change',
+      message: decision === 'approved'
+        ? `Your amendment to committee ${committee.name} was approved`
+        : `Your amendment to committee ${committee.name} was rejected: ${amendment.rejectionReason}`,
+      committeeInfo: { committeeId: committee._id, formationDate: committee.formationDate },
+    });
+    await publishApprovalChange(committee);
+    if (decision === 'approved') {
+      await inbox.notifyCommitteeMembers(
+        committee,
+        `The membership or dates of committee ${committee.name} have changed`
+      );
+      await reminderScheduler.syncCommittee(committee);
+    }
+
+    await respond(res, committee);
+  });
@@ -1,25 +1,45 @@
 const Committee = require('../models/committeFormModel.js');
-const User = require('../models/userModel.js');
+const FormationLetter = require('../models/formationLetterModel.js');
 const fs = require('fs');
 const path = require('path');
 const AppError = require('../utils/appError.js');
-const nodemailer = require('nodemailer');
-const validator = require('validator');
-const winston = require('winston');
-
-// Set up Winston logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/email.log' }),
-    new winston.transports.Console()
-  ]
+const createLogger = require('../utils/logger.js');
+const notifications = require('../services/notifications');
+const inbox = require('../services/inbox.js');
+const reminderScheduler = require('../services/reminderScheduler.js');
+const { buildMembers } = require('../services/committeeMembers.js');
+const documentAccess = require('../services/documentAccess.js');
+const committeeApproval = require('../services/committeeApproval.js');
+
+const logger = createLogger('email');
+
+const mapFormationLetter = (file) => ({
+  filename: file.filename,
+  path: file.path,
+  originalname: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size
 });
 
+const isSecretary = (members, user) =>
+  members.some((member) => member.employeeId === user.employeeId && member.role === 'secretary');
+
+// Generated letters are shared with their FormationLetter version, which keeps the file
+const removeFormationLetterFile = async (committee) => {
+  const letterPath = committee.formationLetter && committee.formationLetter.path;
+  if (!letterPath) return;
+  if (await FormationLetter.exists({ 'files.pdf.path': letterPath })) return;
+
+  fs.unlink(letterPath, (err) => {
+    if (err) logger.error('Error deleting file:', err);
+  });
+};
+
+const replaceFormationLetter = async (committee, file) => {
+  await removeFormationLetterFile(committee);
+  committee.formationLetter = mapFormationLetter(file);
+};
+
 // @desc    Create a new committee
 // @route   POST /api/committees
 const createCommittee = async (req, res, next) => {
@@ -36,33 +56,11 @@ const createCommittee = async (req, res, next) => {
     } = req.body;
 
     // Process members
-    let membersArray = [];
-    if (members && members.length > 0) {
-      let memberData = typeof members === 'string' ? JSON.parse(members) : members;
-      
-      const memberIds = memberData.map(m => 
-        typeof m === 'string' ? m : (m.employeeId || '')
-      );
-
-      if (!memberIds.every(id => typeof id === 'string' && id.trim() !== '')) {
-        return next(new AppError('All member IDs must be non-empty strings', 400));
-      }
+    const membersArray = members && members.length > 0 ? await buildMembers(members) : [];
 
-      for (const employeeId of memberIds) {
-        const user = await User.findOne({ employeeId });
-        if (!user) {
-          return next(new AppError(`User with employee ID ${employeeId} not found`, 404));
-        }
-        
-        membersArray.push({
-          name: user.name,
-          role: user.role,
-          email: user.email,
-          employeeId: user.employeeId,
-          department: user.department,
-          designation: user.designation
-        });
-      }
+    // Only the committee secretary may upload the formation letter
+    if (req.file && !isSecretary(membersArray, req.user)) {
+      throw new AppError('Only the committee secretary can upload the formation letter', 403);
     }
 
     const committee = new Committee({
@@ -74,13 +72,8 @@ const createCommittee = async (req, res, next) => {
       schedule,
       members: membersArray,
       createdBy: req.user._id,
-      formationLetter: req.file ? {
-        filename: req.file.filename,
-        path: req.file.path,
-        originalname: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size
-      } : null
+      department: req.user.department,
+      formationLetter: req.file ? mapFormationLetter(req.file) : null
     });
 
     await committee.save();
@@ -88,6 +81,12 @@ const createCommittee = async (req, res, next) => {
     const populatedCommittee = await Committee.findById(committee._id)
       .populate('createdBy', 'name email role employeeId');
 
+    await inbox.notifyCommitteeMembers(
+      populatedCommittee,
+      `You have been added to the committee ${populatedCommittee.name}`
+    );
+    await reminderScheduler.syncCommittee(committee);
+
     if (shouldNotify === 'true') {
       await sendCommitteeNotifications(populatedCommittee);
     }
@@ -158,68 +157,59 @@ const downloadFormationLetter = async (req, res, next) => {
       return next(new AppError('No formation letter found', 404));
     }
 
-    const filePath = path.join(__dirname, '../', committee.formationLetter.path);
-    if (!fs.existsSync(filePath)) {
-      return next(new AppError('File not found on server', 404));
-    }
-
-    res.download(filePath, committee.formationLetter.originalname);
+    // Stored paths are absolute for uploads and generated letters
+    const filePath = path.resolve(__dirname, '../', committee.formationLetter.path);
+
+    await documentAccess.sendFile(req, res, {
+      target: {
+        resource: {
+          kind: 'formation_letter',
+          id: committee._id,
+          parent: committee._id,
+          name: committee.formationLetter.originalname,
+        },
+      },
+      filePath,
+      name: committee.formationLetter.originalname,
+      mimetype: committee.formationLetter.mimetype,
+    });
   } catch (error) {
-    next(new AppError('Error downloading file', 500));
+    next(error.isOperational ? error : new AppError('Error downloading file', 500));
   }
 };
 
 // Helper function for sending notifications
 const sendCommitteeNotifications = async (committee) => {
-  try {
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    const mailPromises = committee.members.map(async (member) => {
-      if (!validator.isEmail(member.email)) {
-        logger.warn(`Invalid email for member ${member.employeeId}: ${member.email}`);
-        return { email: member.email, status: 'failed', error: 'Invalid email' };
-      }
-
-      try {
-        await transporter.sendMail({
-          from: process.env.EMAIL_FROM,
-          to: member.email,
-          subject: `You've been added to committee: ${committee.name}`,
-          html: `
-            <h1>Committee Assignment</h1>
-            <p>You have been added to the committee <strong>${committee.name}</strong>.</p>
-            <p>Purpose: ${committee.purpose}</p>
-            <p>Formation Date: ${new Date(committee.formationDate).toLocaleDateString()}</p>
-            ${committee.formationLetter ? `<p>A formation letter is attached to this email.</p>` : ''}
-            <p>Created by: ${committee.createdBy.name}</p>
-          `,
-          attachments: committee.formationLetter ? [{
-            filename: committee.formationLetter.originalname,
-            path: committee.formationLetter.path
-          }] : []
-        });
-        return { email: member.email, status: 'success' };
-      } catch (error) {
-        return { email: member.email, status: 'failed', error: error.message };
-      }
-    });
-
-    const results = await Promise.all(mailPromises);
-    const failures = results.filter(r => r.status === 'failed');
-    
-    if (failures.length > 0) {
-      logger.error('Failed to send emails:', failures);
-    } else {
-      logger.info(`Notifications sent for committee ${committee._id}`);
+  const attachments = committee.formationLetter ? [{
+    filename: committee.formationLetter.originalname,
+    path: committee.formationLetter.path
+  }] : [];
+
+  const results = await Promise.all(committee.members.map(async (member) => {
+    try {
+      const message = await notifications.send('committee-assignment', {
+        to: member.email,
+        data: {
+          committeeName: committee.name,
+          purpose: committee.purpose,
+          formationDate: committee.formationDate,
+          hasFormationLetter: Boolean(committee.formationLetter),
+          createdByName: committee.createdBy.name
+        },
+        attachments
+      });
+      return { email: member.email, status: message.status };
+    } catch (error) {
+      return { email: member.email, status: 'failed', error: error.message };
     }
-  } catch (error) {
-    logger.error('Error sending notifications:', error);
+  }));
+
+  // Queued messages are retried by the outbound-messages job
+  const failures = results.filter(r => r.status === 'failed');
+  if (failures.length > 0) {
+    logger.error('Failed to send emails:', failures);
+  } else {
+    logger.info(`Notifications sent for committee ${committee._id}`);
   }
 };
 
@@ -248,54 +238,34 @@ const updateCommittee = async (req, res, next) => {
       schedule: req.body.schedule,
       members: req.body.members,
       shouldNotify: req.body.shouldNotify,
-      approvalStatus: req.body.approvalStatus,
     };
 
     Object.keys(allowedUpdates).forEach(
       (key) => allowedUpdates[key] === undefined && delete allowedUpdates[key]
     );
 
-    let membersArray = [];
-    if (allowedUpdates.members && allowedUpdates.members.length > 0) {
-      let memberData =
-        typeof allowedUpdates.members === 'string'
-          ? JSON.parse(allowedUpdates.members)
-          : allowedUpdates.members;
-
-      const memberIds = memberData.map((m) =>
-        typeof m === 'string' ? m : m.employeeId || ''
-      );
-
-      if (!memberIds.every((id) => typeof id === 'string' && id.trim() !== '')) {
-        return next(new AppError('All member IDs must be non-empty strings', 400));
-      }
+    // Approval status only moves through the approval endpoints, and the
+    // membership and dates of a submitted committee change by amendment
+    if (req.body.approvalStatus !== undefined) {
+      throw new AppError('Use the submit, approve and reject endpoints to change approval status', 400);
+    }
+    committeeApproval.assertEditable(committee, allowedUpdates);
 
-      for (const employeeId of memberIds) {
-        const user = await User.findOne({ employeeId });
-        if (!user) {
-          return next(
-            new AppError(`User with employee ID ${employeeId} not found`, 404)
-          );
-        }
-
-        membersArray.push({
-          name: user.name,
-          role: user.role,
-          email: user.email,
-          employeeId: user.employeeId,
-          department: user.department,
-          designation: user.designation,
-        });
-      }
-      allowedUpdates.members = membersArray;
+    if (allowedUpdates.members && allowedUpdates.members.length > 0) {
+      allowedUpdates.members = await buildMembers(allowedUpdates.members);
     }
 
-    if (req.body.formationLetter) {
-      logger.warn('formationLetter ignored; file upload not enabled');
+    // Only the committee secretary may upload the formation letter
+    if (req.file) {
+      if (!isSecretary(allowedUpdates.members || committee.members, req.user)) {
+        throw new AppError('Only the committee secretary can upload the formation letter', 403);
+      }
+      await replaceFormationLetter(committee, req.file);
     }
 
     Object.assign(committee, allowedUpdates);
     await committee.save();
+    await reminderScheduler.syncCommittee(committee);
 
     const populatedCommittee = await Committee.findById(committee._id).populate(
       'createdBy',
@@ -320,7 +290,42 @@ const updateCommittee = async (req, res, next) => {
       },
     });
   } catch (error) {
-    next(new AppError('Failed to update committee', 500));
+    if (req.file) {
+      fs.unlink(req.file.path, err => {
+        if (err) console.error('Error deleting uploaded file:', err);
+      });
+    }
+    next(error.isOperational ? error : new AppError('Failed to update committee', 500));
+  }
+};
+
+// @desc    Upload or replace the formation letter (committee secretary only)
+// @route   PUT /api/committees/:id/formation-letter
+const uploadFormationLetter = async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload the formation letter', 400));
+  }
+
+  try {
+    const committee = req.committee;
+    await replaceFormationLetter(committee, req.file);
+    await committee.save();
+
+    logger.info('Formation letter uploaded:', {
+      timestamp: new Date().toISOString(),
+      committeeId: committee._id,
+      uploadedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { committee }
+    });
+  } catch (error) {
+    fs.unlink(req.file.path, err => {
+      if (err) console.error('Error deleting uploaded file:', err);
+    });
+    next(error);
   }
 };
 
@@ -335,13 +340,10 @@ const deleteCommittee = async (req, res, next) => {
       return next(new AppError('No committee found with that ID', 404));
     }
 
-    if (committee.formationLetter && committee.formationLetter.path) {
-      fs.unlink(committee.formationLetter.path, (err) => {
-        if (err) logger.error('Error deleting file:', err);
-      });
-    }
+    await removeFormationLetterFile(committee);
 
     await Committee.findByIdAndDelete(id);
+    await reminderScheduler.cancelReminders(committee._id);
 
     logger.info('Committee deleted:', {
       timestamp: new Date().toISOString(),
@@ -366,5 +368,6 @@ module.exports = {
   getCommittee,
   updateCommittee,
   deleteCommittee,
-  downloadFormationLetter
+  downloadFormationLetter,
+  uploadFormationLetter
 };
\ No newline at end of file
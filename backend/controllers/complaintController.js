@@ -0,0 +1,321 @@
+const Complaint = require('../models/complaintModel.js');
+const Tender = require('../models/tenderModel.js');
+const tenderLifecycle = require('../services/tenderLifecycle.js');
+const documentAccess = require('../services/documentAccess.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const { mapUploadedFiles, removeUploadedFiles } = require('../utils/uploadedFiles.js');
+
+const MANAGER_ROLES = ['admin', 'complaint_manager'];
+
+// Allowed moves between complaint statuses
+const STATUS_TRANSITIONS = {
+  pending: ['under_review', 'rejected'],
+  under_review: ['resolved', 'rejected'],
+  resolved: [],
+  rejected: [],
+};
+
+const isManager = (user) => MANAGER_ROLES.includes(user.role);
+
+const findComplaint = async (id, user) => {
+  const complaint = await Complaint.findById(id);
+  if (!complaint) {
+    throw new AppError('No complaint found with that ID', 404);
+  }
+  if (!isManager(user) && complaint.submittedBy.toString() !== user._id.toString()) {
+    throw new AppError('You do not have permission to perform this action', 403);
+  }
+  return complaint;
+};
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// The complainant's own priority does not count until an officer has confirmed it
+const holdsStandstill = (complaint) =>
+  complaint.status === 'under_review' && complaint.priority === 'high' && !!complaint.priorityReviewedAt;
+
+/**
+ * A confirmed high-priority complaint under review holds its tender in
+ * standstill; once it no longer qualifies the suspension is lifted unless
+ * another complaint still does. Called before the complaint is saved, so a
+ * failed tender save leaves the complaint unchanged too.
+ */
+const syncTenderStandstill = async (complaint, actor) => {
+  if (!complaint.tender) return;
+
+  const tender = await Tender.findById(complaint.tender);
+  if (!tender) return;
+
+  if (holdsStandstill(complaint)) {
+    await tenderLifecycle.suspend(tender, complaint, actor);
+  } else {
+    const nextComplaint = await Complaint.findOne({
+      _id: { $ne: complaint._id },
+      tender: tender._id,
+      status: 'under_review',
+      priority: 'high',
+      priorityReviewedAt: { $ne: null },
+    });
+    await tenderLifecycle.liftSuspension(tender, complaint, actor, nextComplaint);
+  }
+};
+
+const populateComplaint = (query) =>
+  query
+    .populate('submittedBy', 'name email employeeId')
+    .populate('tender', 'title ifbNumber status suspension')
+    .populate('responses.respondedBy', 'name email employeeId')
+    .populate('statusHistory.actor', 'name email employeeId')
+    .populate('priorityReviewedBy', 'name email employeeId');
+
+// @desc    Register a complaint
+// @route   POST /api/v1/complaints
+exports.registerComplaint = catchAsync(async (req, res, next) => {
+  try {
+    if (req.body.tenderId && !(await Tender.exists({ _id: req.body.tenderId }))) {
+      throw new AppError('No tender found with that ID', 404);
+    }
+
+    const complaint = await Complaint.create({
+      title: req.body.title,
+      description: req.body.description,
+      submittedBy: req.user._id,
+      agencyId: req.body.agencyId,
+      tender: req.body.tenderId,
+      category: req.body.category,
+      priority: req.body.priority,
+      emailNotifications: req.body.emailNotifications !== 'false' && req.body.emailNotifications !== false,
+      documents: mapUploadedFiles(req.files),
+    });
+
+    console.log('Complaint registered:', {
+      timestamp: new Date().toISOString(),
+      complaintId: complaint._id,
+      priority: complaint.priority,
+      submittedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { complaint },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+});
+
+// @desc    List complaints; managers see all, others see their own
+// @route   GET /api/v1/complaints
+exports.getComplaints = catchAsync(async (req, res, next) => {
+  const filter = isManager(req.user) ? {} : { submittedBy: req.user._id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.priority) filter.priority = req.query.priority;
+  if (req.query.slaBreached) filter.slaBreached = req.query.slaBreached === 'true';
+
+  const complaints = await populateComplaint(Complaint.find(filter).sort('-submittedAt'));
+
+  res.status(200).json({
+    status: 'success',
+    results: complaints.length,
+    data: { complaints },
+  });
+});
+
+// @desc    Get a single complaint
+// @route   GET /api/v1/complaints/:id
+exports.getComplaint = catchAsync(async (req, res, next) => {
+  const complaint = await findComplaint(req.params.id, req.user);
+  const populatedComplaint = await populateComplaint(Complaint.findById(complaint._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: { complaint: populatedComplaint },
+  });
+});
+
+// @desc    Attach documents to a complaint
+// @route   POST /api/v1/complaints/:id/documents
+exports.attachDocuments = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one document', 400));
+  }
+
+  try {
+    const complaint = await findComplaint(req.params.id, req.user);
+    complaint.documents.push(...mapUploadedFiles(req.files));
+    await complaint.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { complaint },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+});
+
+// @desc    Respond to a complaint
+// @route   POST /api/v1/complaints/:id/responses
+exports.respondToComplaint = catchAsync(async (req, res, next) => {
+  if (!req.body.response || !req.body.response.trim()) {
+    removeUploadedFiles(req.files);
+    return next(new AppError('Response text is required', 400));
+  }
+
+  try {
+    const complaint = await findComplaint(req.params.id, req.user);
+
+    complaint.responses.push({
+      response: req.body.response.trim(),
+      respondedBy: req.user._id,
+      attachments: mapUploadedFiles(req.files),
+    });
+    if (!complaint.firstRespondedAt) {
+      complaint.firstRespondedAt = new Date();
+    }
+    await complaint.save();
+
+    const populatedComplaint = await populateComplaint(Complaint.findById(complaint._id));
+
+    res.status(201).json({
+      status: 'success',
+      data: { complaint: populatedComplaint },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+});
+
+// Complaint documents and response attachments share one download route
+const findFile = async (req) => {
+  const complaint = await findComplaint(req.params.id, req.user);
+  const file =
+    complaint.documents.id(req.params.fileId) ||
+    complaint.responses
+      .map((response) => response.attachments.id(req.params.fileId))
+      .find(Boolean);
+
+  if (!file) {
+    throw new AppError('No file found with that ID', 404);
+  }
+  return { complaint, file };
+};
+
+// @desc    Download a complaint document or a response attachment
+// @route   GET /api/v1/complaints/:id/files/:fileId
+exports.downloadFile = catchAsync(async (req, res, next) => {
+  const { complaint, file } = await findFile(req);
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'complaint_document', id: file._id, parent: complaint._id, name: file.originalname },
+    },
+    filePath: file.path,
+    name: file.originalname,
+    mimetype: file.mimetype,
+  });
+});
+
+// @desc    Access history of a complaint document or response attachment
+// @route   GET /api/v1/complaints/:id/files/:fileId/access-log
+exports.getFileAccessLog = catchAsync(async (req, res, next) => {
+  const { file } = await findFile(req);
+  const accessHistory = await documentAccess.getAccessHistory({
+    resource: { kind: 'complaint_document', id: file._id },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      document: {
+        id: file._id,
+        name: file.originalname,
+        type: file.mimetype,
+        size: file.size,
+        uploadedAt: file.uploadedAt,
+        accessHistory,
+      },
+    },
+  });
+});
+
+// @desc    Move a complaint to a new status
+// @route   PATCH /api/v1/complaints/:id/status
+exports.updateStatus = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+  const complaint = await findComplaint(req.params.id, req.user);
+
+  if (!STATUS_TRANSITIONS[complaint.status].includes(status)) {
+    return next(
+      new AppError(`Cannot move a complaint from '${complaint.status}' to '${status}'`, 409)
+    );
+  }
+
+  if (status === 'rejected' && !note) {
+    return next(new AppError('Please provide a reason for rejection', 400));
+  }
+
+  complaint.statusHistory.push({
+    from: complaint.status,
+    to: status,
+    actor: req.user._id,
+    note,
+  });
+  complaint.status = status;
+  await syncTenderStandstill(complaint, req.user);
+  await complaint.save();
+
+  console.log('Complaint status updated:', {
+    timestamp: new Date().toISOString(),
+    complaintId: complaint._id,
+    status,
+    updatedBy: req.user._id,
+  });
+
+  const populatedComplaint = await populateComplaint(Complaint.findById(complaint._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: { complaint: populatedComplaint },
+  });
+});
+
+// @desc    Confirm or change a complaint's priority
+// @route   PATCH /api/v1/complaints/:id/priority
+exports.updatePriority = catchAsync(async (req, res, next) => {
+  const { priority } = req.body;
+  if (!PRIORITIES.includes(priority)) {
+    return next(new AppError(`Priority must be one of: ${PRIORITIES.join(', ')}`, 400));
+  }
+
+  const complaint = await findComplaint(req.params.id, req.user);
+  if (['resolved', 'rejected'].includes(complaint.status)) {
+    return next(new AppError(`A ${complaint.status} complaint can no longer be re-prioritized`, 409));
+  }
+
+  const previousPriority = complaint.priority;
+  complaint.priority = priority;
+  complaint.priorityReviewedBy = req.user._id;
+  complaint.priorityReviewedAt = new Date();
+  await syncTenderStandstill(complaint, req.user);
+  await complaint.save();
+
+  console.log('Complaint priority updated:', {
+    timestamp: new Date().toISOString(),
+    complaintId: complaint._id,
+    from: previousPriority,
+    to: priority,
+    updatedBy: req.user._id,
+  });
+
+  const populatedComplaint = await populateComplaint(Complaint.findById(complaint._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: { complaint: populatedComplaint },
+  });
+});
@@ -0,0 +1,81 @@
+const ConflictDeclaration = require('../models/conflictDeclarationModel.js');
+const Tender = require('../models/tenderModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const conflictOfInterest = require('../services/conflictOfInterest.js');
+const sealedBids = require('../services/sealedBids.js');
+
+const OFFICER_ROLES = ['admin', 'procurement_officer'];
+
+const findTender = async (tenderId) => {
+  const tender = await Tender.findById(tenderId);
+  if (!tender) {
+    throw new AppError('No tender found with that ID', 404);
+  }
+  return tender;
+};
+
+// @desc    Get the declaration form: every bidding vendor plus any signed declaration
+// @route   GET /api/v1/tenders/:tenderId/declarations/form
+exports.getDeclarationForm = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+
+  const vendors = await conflictOfInterest.getBiddingVendors(tender);
+  const declaration = await ConflictDeclaration.findOne({
+    tender: tender._id,
+    evaluator: req.user._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { vendors, declaration },
+  });
+});
+
+// @desc    Sign a conflict-of-interest declaration for a tender
+// @route   POST /api/v1/tenders/:tenderId/declarations
+exports.signDeclaration = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  const declaration = await conflictOfInterest.signDeclaration(
+    tender,
+    req.user,
+    { vendors: req.body.vendors, signature: req.body.signature },
+    req.ip
+  );
+
+  console.log('Conflict-of-interest declaration signed:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    evaluator: req.user._id,
+    hasConflict: declaration.hasConflict,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { declaration },
+  });
+});
+
+// @desc    List all declarations for a tender (officers and the chair)
+// @route   GET /api/v1/tenders/:tenderId/declarations
+exports.getDeclarations = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+
+  const isChair = tender.evaluationTeam.some(
+    (m) => m.user.toString() === req.user._id.toString() && m.role === 'chair'
+  );
+  if (!OFFICER_ROLES.includes(req.user.role) && !isChair) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  const declarations = await ConflictDeclaration.find({ tender: tender._id })
+    .sort('signedAt')
+    .populate('evaluator', 'name email employeeId');
+
+  res.status(200).json({
+    status: 'success',
+    results: declarations.length,
+    data: { declarations },
+  });
+});
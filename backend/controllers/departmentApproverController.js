@@ -0,0 +1,56 @@
+const DepartmentApprover = require('../models/departmentApproverModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+
+// @desc    List committee approvers by department
+// @route   GET /api/v1/department-approvers
+exports.getApprovers = catchAsync(async (req, res, next) => {
+  const approvers = await DepartmentApprover.find()
+    .sort('department')
+    .populate('approver', 'name email employeeId department');
+
+  res.status(200).json({
+    status: 'success',
+    results: approvers.length,
+    data: { approvers },
+  });
+});
+
+// @desc    Set the committee approver for a department
+// @route   PUT /api/v1/department-approvers/:department
+exports.setApprover = catchAsync(async (req, res, next) => {
+  if (!req.body.employeeId) {
+    return next(new AppError('Please provide the employee ID of the approver', 400));
+  }
+
+  const user = await User.findOne({ employeeId: req.body.employeeId });
+  if (!user) {
+    return next(new AppError(`User with employee ID ${req.body.employeeId} not found`, 404));
+  }
+
+  const approver = await DepartmentApprover.findOneAndUpdate(
+    { department: req.params.department },
+    { approver: user._id, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).populate('approver', 'name email employeeId department');
+
+  res.status(200).json({
+    status: 'success',
+    data: { approver },
+  });
+});
+
+// @desc    Remove a department's approver; admins approve in its place
+// @route   DELETE /api/v1/department-approvers/:department
+exports.removeApprover = catchAsync(async (req, res, next) => {
+  const approver = await DepartmentApprover.findOneAndDelete({ department: req.params.department });
+  if (!approver) {
+    return next(new AppError('No approver configured for that department', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
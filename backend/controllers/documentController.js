@@ -0,0 +1,225 @@
+const fs = require('fs');
+const Document = require('../models/documentModel.js');
+const DocumentAccessLog = require('../models/documentAccessLogModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const documentAccess = require('../services/documentAccess.js');
+
+const findDocument = async (id, withPath = false) => {
+  const query = Document.findById(id);
+  const document = await (withPath ? query.select('+path') : query);
+  if (!document) {
+    throw new AppError('No document found with that ID', 404);
+  }
+  return document;
+};
+
+const assertAccess = (document, user) => {
+  if (!document.canAccess(user)) {
+    throw new AppError('You do not have access to this document', 403);
+  }
+};
+
+const assertOwner = (document, user) => {
+  if (user.role !== 'admin' && document.owner.toString() !== user._id.toString()) {
+    throw new AppError('Only the document owner can manage access', 403);
+  }
+};
+
+// Confidential PDFs get a per-user watermark tied to the access-log entry
+const sendDocument = (action) =>
+  catchAsync(async (req, res, next) => {
+    const document = await findDocument(req.params.id, true);
+    assertAccess(document, req.user);
+
+    await documentAccess.sendFile(req, res, {
+      target: { document: document._id },
+      action,
+      filePath: document.path,
+      name: document.name,
+      mimetype: document.mimetype,
+      watermark: document.isConfidential,
+      printLimit: document.printLimit,
+    });
+  });
+
+// @desc    Upload a document to the vault
+// @route   POST /api/v1/documents
+exports.uploadDocument = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload a file', 400));
+  }
+
+  const document = await Document.create({
+    name: req.file.originalname,
+    filename: req.file.filename,
+    path: req.file.path,
+    mimetype: req.file.mimetype,
+    size: req.file.size,
+    isConfidential: req.body.isConfidential === true || req.body.isConfidential === 'true',
+    owner: req.user._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { document },
+  });
+});
+
+// @desc    List documents the current user owns or has been granted
+// @route   GET /api/v1/documents
+exports.getDocuments = catchAsync(async (req, res, next) => {
+  const filter = req.user.role === 'admin'
+    ? {}
+    : { $or: [{ owner: req.user._id }, { 'grants.user': req.user._id }] };
+
+  const documents = await Document.find(filter)
+    .sort('-createdAt')
+    .populate('owner', 'name email employeeId');
+
+  res.status(200).json({
+    status: 'success',
+    results: documents.length,
+    data: { documents },
+  });
+});
+
+// @desc    Get document details
+// @route   GET /api/v1/documents/:id
+exports.getDocument = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req.params.id);
+  assertAccess(document, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: { document },
+  });
+});
+
+// @desc    Update confidentiality and print limit
+// @route   PATCH /api/v1/documents/:id
+exports.updateDocument = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req.params.id);
+  assertOwner(document, req.user);
+
+  if (req.body.isConfidential !== undefined) {
+    document.isConfidential = req.body.isConfidential === true || req.body.isConfidential === 'true';
+  }
+  if (req.body.printLimit !== undefined) {
+    document.printLimit = req.body.printLimit === null ? undefined : req.body.printLimit;
+  }
+  await document.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { document },
+  });
+});
+
+// @route   GET /api/v1/documents/:id/view
+exports.viewDocument = sendDocument('view');
+
+// @route   GET /api/v1/documents/:id/download
+exports.downloadDocument = sendDocument('download');
+
+// @route   GET /api/v1/documents/:id/print
+exports.printDocument = sendDocument('print');
+
+// @desc    Grant a user access to a document
+// @route   POST /api/v1/documents/:id/grants
+exports.grantAccess = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req.params.id);
+  assertOwner(document, req.user);
+
+  const user = await User.findOne({ employeeId: req.body.employeeId });
+  if (!user) {
+    return next(new AppError(`User with employee ID ${req.body.employeeId} not found`, 404));
+  }
+
+  if (!document.grants.some((grant) => grant.user.toString() === user._id.toString())) {
+    document.grants.push({ user: user._id, grantedBy: req.user._id });
+    await document.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { document },
+  });
+});
+
+// @desc    Revoke a user's access to a document
+// @route   DELETE /api/v1/documents/:id/grants/:userId
+exports.revokeAccess = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req.params.id);
+  assertOwner(document, req.user);
+
+  document.grants = document.grants.filter(
+    (grant) => grant.user.toString() !== req.params.userId
+  );
+  await document.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { document },
+  });
+});
+
+// @desc    Access history of a document, in the shape AccessLogDialog expects
+// @route   GET /api/v1/documents/:id/access-log
+exports.getAccessLog = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req.params.id);
+  assertOwner(document, req.user);
+
+  const accessHistory = await documentAccess.getAccessHistory({ document: document._id });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      document: {
+        id: document._id,
+        name: document.name,
+        type: document.mimetype,
+        size: document.size,
+        uploadedAt: document.createdAt,
+        isConfidential: document.isConfidential,
+        printLimit: document.printLimit,
+        accessHistory,
+      },
+    },
+  });
+});
+
+// @desc    Find the access-log entry behind a watermark trace ID
+// @route   GET /api/v1/documents/trace/:traceId
+exports.traceAccess = catchAsync(async (req, res, next) => {
+  const log = await DocumentAccessLog.findOne({ traceId: req.params.traceId })
+    .populate('user', 'name email employeeId department')
+    .populate('document', 'name mimetype isConfidential owner');
+
+  if (!log) {
+    return next(new AppError('No access record found for that trace ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { access: log },
+  });
+});
+
+// @desc    Delete a document and its file
+// @route   DELETE /api/v1/documents/:id
+exports.deleteDocument = catchAsync(async (req, res, next) => {
+  const document = await findDocument(req.params.id, true);
+  assertOwner(document, req.user);
+
+  fs.unlink(document.path, (err) => {
+    if (err) console.error('Error deleting document file:', err);
+  });
+  await Document.findByIdAndDelete(document._id);
+
+  res.status(204).json({
+    status: 'success',
+    message: 'Document deleted successfully',
+  });
+});
@@ -0,0 +1,263 @@
+const Bid = require('../models/bidModel.js');
+const FinancialEvaluation = require('../models/financialEvaluationModel.js');
+const Tender = require('../models/tenderModel.js');
+const TechnicalScore = require('../models/technicalScoreModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const sealedBids = require('../services/sealedBids.js');
+const technicalEvaluation = require('../services/technicalEvaluation.js');
+const ranking = require('../services/ranking.js');
+const conflictOfInterest = require('../services/conflictOfInterest.js');
+
+const OFFICER_ROLES = ['admin', 'procurement_officer'];
+
+const findTender = async (tenderId) => {
+  const tender = await Tender.findById(tenderId);
+  if (!tender) {
+    throw new AppError('No tender found with that ID', 404);
+  }
+  return tender;
+};
+
+const isChair = (tender, user) =>
+  tender.evaluationTeam.some(
+    (m) => m.user.toString() === user._id.toString() && m.role === 'chair'
+  );
+
+// @desc    Set the technical criteria and pass mark of a tender
+// @route   PUT /api/v1/tenders/:tenderId/evaluation/criteria
+exports.setCriteria = catchAsync(async (req, res, next) => {
+  const { criteria, passMark } = req.body;
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return next(new AppError('Please provide the technical criteria', 400));
+  }
+
+  const tender = await findTender(req.params.tenderId);
+  await ranking.assertNotLocked(tender);
+
+  if (await TechnicalScore.exists({ tender: tender._id })) {
+    return next(new AppError('Criteria cannot change once scoring has started', 409));
+  }
+
+  tender.technicalCriteria = criteria.map((c) => ({
+    name: c.name,
+    description: c.description,
+    maxScore: c.maxScore,
+    weight: c.weight,
+  }));
+  if (passMark !== undefined) tender.technicalPassMark = passMark;
+  await tender.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      technicalCriteria: tender.technicalCriteria,
+      technicalPassMark: tender.technicalPassMark,
+    },
+  });
+});
+
+// @desc    Submit the current evaluator's scores for one vendor
+// @route   POST /api/v1/tenders/:tenderId/evaluation/scores
+exports.submitScores = catchAsync(async (req, res, next) => {
+  const { vendorId, scores } = req.body;
+  if (!vendorId || !Array.isArray(scores) || scores.length === 0) {
+    return next(new AppError('Please provide the vendor and scores', 400));
+  }
+
+  const tender = await findTender(req.params.tenderId);
+
+  if (!sealedBids.isTeamMember(tender, req.user)) {
+    return next(new AppError('Only evaluation team members can submit scores', 403));
+  }
+
+  if (!tender.bidsOpenedAt) {
+    return next(new AppError('Bids must be opened before evaluation', 409));
+  }
+
+  await conflictOfInterest.assertDeclared(tender, req.user);
+  await ranking.assertNotLocked(tender);
+  technicalEvaluation.assertNotFinalized(tender);
+
+  if (!(await Bid.exists({ tender: tender._id, vendor: vendorId }))) {
+    return next(new AppError('That vendor has not bid on this tender', 404));
+  }
+
+  const validated = scores.map((entry) => ({
+    criteria: entry.criteriaId,
+    score: technicalEvaluation.validateScore(tender, entry.criteriaId, entry.score),
+    comments: entry.comments,
+  }));
+
+  const saved = [];
+  for (const entry of validated) {
+    saved.push(
+      await TechnicalScore.findOneAndUpdate(
+        {
+          tender: tender._id,
+          vendor: vendorId,
+          evaluator: req.user._id,
+          criteria: entry.criteria,
+        },
+        { score: entry.score, comments: entry.comments },
+        { new: true, upsert: true, runValidators: true }
+      )
+    );
+  }
+
+  console.log('Technical scores submitted:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    vendorId,
+    evaluator: req.user._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: saved.length,
+    data: { scores: saved },
+  });
+});
+
+// @desc    Get the current evaluator's scores
+// @route   GET /api/v1/tenders/:tenderId/evaluation/scores/mine
+exports.getMyScores = catchAsync(async (req, res, next) => {
+  const scores = await TechnicalScore.find({
+    tender: req.params.tenderId,
+    evaluator: req.user._id,
+  }).populate('vendor', 'companyName');
+
+  res.status(200).json({
+    status: 'success',
+    results: scores.length,
+    data: { scores },
+  });
+});
+
+// @desc    Weighted technical totals per vendor, with disagreement flags
+// @route   GET /api/v1/tenders/:tenderId/evaluation/technical
+exports.getTechnicalSummary = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const results = await technicalEvaluation.summarize(tender);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      passMark: tender.technicalPassMark,
+      results,
+    },
+  });
+});
+
+// @desc    Persist technical scores and disqualify vendors below the pass mark
+// @route   POST /api/v1/tenders/:tenderId/evaluation/technical/finalize
+exports.finalizeTechnical = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+
+  if (!OFFICER_ROLES.includes(req.user.role) && !isChair(tender, req.user)) {
+    return next(new AppError('Only the evaluation chair can finalize technical scores', 403));
+  }
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  await ranking.assertNotLocked(tender);
+
+  const results = await technicalEvaluation.finalize(tender, req.user, {
+    disagreementNote: req.body.disagreementNote,
+  });
+
+  console.log('Technical evaluation finalized:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    finalizedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      passMark: tender.technicalPassMark,
+      disagreementNote: tender.technicalDisagreementNote,
+      results,
+    },
+  });
+});
+
+// @desc    Rank the technically qualified bids using a selection method
+// @route   POST /api/v1/tenders/:tenderId/evaluation/ranking
+exports.computeRanking = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+
+  if (!OFFICER_ROLES.includes(req.user.role) && !isChair(tender, req.user)) {
+    return next(new AppError('Only the evaluation chair can rank bids', 403));
+  }
+  // The ranking carries every bid amount
+  sealedBids.assertCanViewBids(tender, req.user);
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const evaluation = await ranking.computeRanking(
+    tender,
+    {
+      method: req.body.method,
+      technicalWeight: req.body.technicalWeight,
+      financialWeight: req.body.financialWeight,
+      budget: req.body.budget,
+    },
+    req.user
+  );
+
+  console.log('Bids ranked:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    method: evaluation.method,
+    evaluatedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { evaluation },
+  });
+});
+
+// @desc    Get the stored ranking of a tender
+// @route   GET /api/v1/tenders/:tenderId/evaluation/ranking
+exports.getRanking = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const evaluation = await FinancialEvaluation.findOne({ tender: tender._id })
+    .populate('results.vendor', 'companyName registrationNumber')
+    .populate('lockedBy', 'name email employeeId');
+
+  if (!evaluation) {
+    return next(new AppError('This tender has not been ranked yet', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { evaluation },
+  });
+});
+
+// @desc    Approve and lock the ranking of a tender
+// @route   POST /api/v1/tenders/:tenderId/evaluation/ranking/lock
+exports.lockRanking = catchAsync(async (req, res, next) => {
+  const tender = await findTender(req.params.tenderId);
+  sealedBids.assertCanViewBids(tender, req.user);
+  await conflictOfInterest.assertDeclared(tender, req.user);
+
+  const evaluation = await ranking.lockRanking(tender, req.user);
+
+  console.log('Ranking locked:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    lockedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { evaluation },
+  });
+});
@@ -0,0 +1,82 @@
+const realtime = require('../services/realtime.js');
+const sessions = require('../services/sessions.js');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+};
+
+// @desc    Server-Sent Events stream of the current user's notifications and status changes
+// @route   GET /api/v1/events
+// EventSource cannot set headers, so browsers authenticate with the jwt cookie
+exports.streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Subscribe before replaying so nothing published in between is lost
+  const pending = [];
+  let replaying = true;
+  const unsubscribe = realtime.subscribe(req.user._id, (event) => {
+    if (replaying) pending.push(event);
+    else writeEvent(res, event);
+  });
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const { events, complete } = realtime.eventsSince(req.user._id, lastEventId);
+  if (!complete) {
+    res.write('event: resync\ndata: {}\n\n');
+  }
+  const sent = new Set();
+  [...events, ...pending].forEach((event) => {
+    if (sent.has(event.id)) return;
+    sent.add(event.id);
+    writeEvent(res, event);
+  });
+  replaying = false;
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ userId: req.user._id })}\n\n`);
+
+  let closed = false;
+  let heartbeat;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // The stream outlives the request's auth check, so the session is checked
+  // again on every heartbeat and the stream ends once it is revoked or expires.
+  // A failed lookup says nothing about the session; the next beat tries again
+  heartbeat = setInterval(async () => {
+    let session;
+    let lookupFailed = false;
+    try {
+      session = await sessions.findActiveSession(req.authSession._id, req.user._id);
+    } catch (err) {
+      console.error('Error checking event stream session:', err.message);
+      lookupFailed = true;
+    }
+    if (closed) return;
+
+    if (!lookupFailed && !session) {
+      res.write('event: session.ended\ndata: {}\n\n');
+      close();
+      res.end();
+      return;
+    }
+    res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+
+  req.on('close', close);
+};
@@ -0,0 +1,188 @@
+const Committee = require('../models/committeFormModel.js');
+const FormationLetter = require('../models/formationLetterModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const formationLetter = require('../services/formationLetter.js');
+const letterDistribution = require('../services/letterDistribution.js');
+const documentAccess = require('../services/documentAccess.js');
+const inbox = require('../services/inbox.js');
+
+const FORMATS = ['pdf', 'docx'];
+
+const loadCommittee = async (id, user) => {
+  const committee = await Committee.findById(id);
+  if (!committee) {
+    throw new AppError('Committee not found', 404);
+  }
+  if (!committee.includesUser(user)) {
+    throw new AppError('Only committee members can view formation letters', 403);
+  }
+  return committee;
+};
+
+const findLetter = async (committee, version) => {
+  const letter = await FormationLetter.findOne({
+    committee: committee._id,
+    version: Number(version),
+  });
+  if (!letter) {
+    throw new AppError('No formation letter found with that version', 404);
+  }
+  return letter;
+};
+
+// @desc    Generate the next version of the formation letter (committee secretary only)
+// @route   POST /api/v1/committees/:id/formation-letter/generate
+exports.generateLetter = catchAsync(async (req, res, next) => {
+  // checkCommitteeRole has already loaded the committee
+  const committee = req.committee;
+  const letter = await formationLetter.generateLetter(committee, req.user, req.body.templateId);
+
+  // The generated PDF becomes the committee's formation letter
+  committee.formationLetter = {
+    filename: letter.files.pdf.filename,
+    path: letter.files.pdf.path,
+    originalname: letter.files.pdf.filename,
+    mimetype: letter.files.pdf.mimetype,
+    size: letter.files.pdf.size,
+  };
+  await committee.save();
+
+  console.log('Formation letter generated:', {
+    timestamp: new Date().toISOString(),
+    committeeId: committee._id,
+    referenceNumber: letter.referenceNumber,
+    version: letter.version,
+    issuedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { letter },
+  });
+});
+
+// @desc    List every generated version of a committee's formation letter
+// @route   GET /api/v1/committees/:id/letters
+exports.getLetters = catchAsync(async (req, res, next) => {
+  const committee = await loadCommittee(req.params.id, req.user);
+  const letters = await FormationLetter.find({ committee: committee._id })
+    .sort('-version')
+    .populate('issuedBy', 'name email employeeId');
+
+  res.status(200).json({
+    status: 'success',
+    results: letters.length,
+    data: { letters },
+  });
+});
+
+// @desc    Download one version of the formation letter as PDF (default) or DOCX
+// @route   GET /api/v1/committees/:id/letters/:version/download?format=pdf|docx
+exports.downloadLetter = catchAsync(async (req, res, next) => {
+  const format = req.query.format || 'pdf';
+  if (!FORMATS.includes(format)) {
+    return next(new AppError(`Format must be one of: ${FORMATS.join(', ')}`, 400));
+  }
+
+  const committee = await loadCommittee(req.params.id, req.user);
+  const letter = await findLetter(committee, req.params.version);
+
+  const file = letter.files[format];
+  if (!file || !file.path) {
+    return next(new AppError('File not found on server', 404));
+  }
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'formation_letter', id: letter._id, parent: committee._id, name: file.filename },
+    },
+    filePath: file.path,
+    name: file.filename,
+    mimetype: file.mimetype,
+  });
+});
+
+// @desc    Issue a draft letter version (committee secretary only)
+// @route   POST /api/v1/committees/:id/letters/:version/issue
+exports.issueLetter = catchAsync(async (req, res, next) => {
+  const letter = await findLetter(req.committee, req.params.version);
+  if (letter.status !== 'draft') {
+    return next(new AppError(`This letter has already been ${letter.status}`, 409));
+  }
+
+  letter.status = 'issued';
+  letter.issuedAt = new Date();
+  await letter.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { letter },
+  });
+});
+
+// @desc    Email an issued letter to committee members with acknowledgment links
+// @route   POST /api/v1/committees/:id/letters/:version/distribute
+exports.distributeLetter = catchAsync(async (req, res, next) => {
+  const committee = req.committee;
+  const letter = await findLetter(committee, req.params.version);
+  const distributions = await letterDistribution.distribute(letter, committee, req.user);
+
+  await inbox.notifyEmployees(
+    distributions.filter((d) => d.deliveryStatus !== 'failed').map((d) => d.member.employeeId),
+    {
+      type: 'committee',
+      message: `Formation letter ${letter.referenceNumber} for ${committee.name} has been sent to you; please acknowledge receipt`,
+      committeeInfo: { committeeId: committee._id, formationDate: committee.formationDate },
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: distributions.length,
+    data: { letter, distributions },
+  });
+});
+
+// @desc    Report who has and has not acknowledged a letter version
+// @route   GET /api/v1/committees/:id/letters/:version/acknowledgments
+exports.getAcknowledgments = catchAsync(async (req, res, next) => {
+  const committee = await loadCommittee(req.params.id, req.user);
+  const letter = await findLetter(committee, req.params.version);
+  const report = await letterDistribution.acknowledgmentReport(letter);
+
+  res.status(200).json({
+    status: 'success',
+    data: { report },
+  });
+});
+
+// @desc    Confirmation page for the signed link in the letter email
+// @route   GET /api/v1/letter-acknowledgments/:token
+// @access  Public
+exports.showAcknowledgment = catchAsync(async (req, res, next) => {
+  // Opening the link changes nothing: mail scanners prefetch links
+  try {
+    const distribution = await letterDistribution.findByToken(req.params.token);
+    res.status(200).type('html').send(letterDistribution.renderAcknowledgmentPage(distribution));
+  } catch (error) {
+    if (!error.isOperational) throw error;
+    res.status(error.statusCode).type('html').send(letterDistribution.renderAcknowledgmentPage(null, error.message));
+  }
+});
+
+// @desc    Acknowledge receipt from the confirmation page
+// @route   POST /api/v1/letter-acknowledgments/:token
+// @access  Public
+exports.acknowledgeLetter = catchAsync(async (req, res, next) => {
+  const distribution = await letterDistribution.acknowledge(req.params.token, req.ip);
+
+  res.status(200).format({
+    html: () => res.send(letterDistribution.renderAcknowledgmentPage(distribution)),
+    default: () => res.json({
+      status: 'success',
+      message: `Receipt of formation letter ${distribution.letter.referenceNumber} for ${distribution.committee.name} acknowledged`,
+      data: { acknowledgmentDate: distribution.acknowledgmentDate },
+    }),
+  });
+});
@@ -0,0 +1,95 @@
+const LetterTemplate = require('../models/letterTemplateModel.js');
+const { PLACEHOLDERS } = require('../models/letterTemplateModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const formationLetter = require('../services/formationLetter.js');
+
+// Only one template is active at a time
+const deactivateOthers = (template) =>
+  LetterTemplate.updateMany({ _id: { $ne: template._id }, isActive: true }, { isActive: false });
+
+// @desc    List formation letter templates, with the placeholders they can use
+// @route   GET /api/v1/letter-templates
+exports.getTemplates = catchAsync(async (req, res, next) => {
+  const templates = await LetterTemplate.find().sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      templates,
+      placeholders: PLACEHOLDERS,
+      defaultTemplate: formationLetter.DEFAULT_TEMPLATE,
+    },
+  });
+});
+
+// @desc    Get a letter template
+// @route   GET /api/v1/letter-templates/:id
+exports.getTemplate = catchAsync(async (req, res, next) => {
+  const template = await LetterTemplate.findById(req.params.id);
+  if (!template) {
+    return next(new AppError('No letter template found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { template },
+  });
+});
+
+// @desc    Create a letter template
+// @route   POST /api/v1/letter-templates
+exports.createTemplate = catchAsync(async (req, res, next) => {
+  const template = await LetterTemplate.create({
+    name: req.body.name,
+    subject: req.body.subject,
+    body: req.body.body,
+    isActive: req.body.isActive === true || req.body.isActive === 'true',
+    createdBy: req.user._id,
+  });
+  if (template.isActive) await deactivateOthers(template);
+
+  res.status(201).json({
+    status: 'success',
+    data: { template },
+  });
+});
+
+// @desc    Update a letter template
+// @route   PATCH /api/v1/letter-templates/:id
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+  const template = await LetterTemplate.findById(req.params.id);
+  if (!template) {
+    return next(new AppError('No letter template found with that ID', 404));
+  }
+
+  ['name', 'subject', 'body'].forEach((field) => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+  if (req.body.isActive !== undefined) {
+    template.isActive = req.body.isActive === true || req.body.isActive === 'true';
+  }
+  template.updatedBy = req.user._id;
+  await template.save();
+  if (template.isActive) await deactivateOthers(template);
+
+  res.status(200).json({
+    status: 'success',
+    data: { template },
+  });
+});
+
+// @desc    Delete a letter template; generated letters keep its name
+// @route   DELETE /api/v1/letter-templates/:id
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+  const template = await LetterTemplate.findByIdAndDelete(req.params.id);
+  if (!template) {
+    return next(new AppError('No letter template found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
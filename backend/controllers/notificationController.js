@@ -0,0 +1,183 @@
+const Notification = require('../models/notificationModel.js');
+const { NOTIFICATION_TYPES } = require('../models/notificationModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const reminderScheduler = require('../services/reminderScheduler.js');
+
+const MAX_LIMIT = 100;
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Keep only the preference fields the user sent, validated
+const pickPreferences = (body) => {
+  const preferences = {};
+  ['email', 'inApp'].forEach((key) => {
+    if (body[key] !== undefined) preferences[key] = parseBoolean(body[key]);
+  });
+  if (body.customTime !== undefined) {
+    const customTime = Number(body.customTime);
+    if (!Number.isFinite(customTime) || customTime < 0) {
+      throw new AppError('customTime must be a non-negative number of hours', 400);
+    }
+    preferences.customTime = customTime;
+  }
+  return preferences;
+};
+
+const findOwnNotification = async (id, user) => {
+  const notification = await Notification.findOne({ _id: id, recipient: user._id });
+  if (!notification) {
+    throw new AppError('No notification found with that ID', 404);
+  }
+  return notification;
+};
+
+// @desc    List the current user's notifications
+// @route   GET /api/v1/notifications?type=&read=&page=&limit=
+exports.getNotifications = catchAsync(async (req, res, next) => {
+  const filter = { recipient: req.user._id };
+
+  if (req.query.type) {
+    // ?type=a,b and ?type=a&type=b both arrive here
+    const types = [].concat(req.query.type).join(',').split(',');
+    if (!types.every((type) => NOTIFICATION_TYPES.includes(type))) {
+      return next(new AppError(`Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`, 400));
+    }
+    filter.type = { $in: types };
+  }
+  if (req.query.read !== undefined) {
+    filter.read = parseBoolean(req.query.read);
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ recipient: req.user._id, read: false }),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    total,
+    unreadCount,
+    page,
+    pages: Math.ceil(total / limit),
+    data: { notifications },
+  });
+});
+
+// @desc    Count the current user's unread notifications
+// @route   GET /api/v1/notifications/unread-count
+exports.getUnreadCount = catchAsync(async (req, res, next) => {
+  const unreadCount = await Notification.countDocuments({ recipient: req.user._id, read: false });
+
+  res.status(200).json({
+    status: 'success',
+    data: { unreadCount },
+  });
+});
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/v1/notifications/:id/read
+exports.markAsRead = catchAsync(async (req, res, next) => {
+  const notification = await findOwnNotification(req.params.id, req.user);
+  if (!notification.read) {
+    notification.read = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { notification },
+  });
+});
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PATCH /api/v1/notifications/read-all
+exports.markAllAsRead = catchAsync(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, read: false },
+    { read: true, readAt: new Date() }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: { updated: result.modifiedCount },
+  });
+});
+
+// @desc    Set reminder preferences for one notification
+// @route   PATCH /api/v1/notifications/:id/reminder-preferences
+exports.updateNotificationPreferences = catchAsync(async (req, res, next) => {
+  const notification = await findOwnNotification(req.params.id, req.user);
+  const preferences = pickPreferences(req.body);
+
+  notification.reminderPreferences = {
+    ...(notification.reminderPreferences ? notification.reminderPreferences.toObject() : {}),
+    ...preferences,
+  };
+  if (preferences.customTime !== undefined) {
+    notification.reminderTime = preferences.customTime;
+  }
+  await notification.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { notification },
+  });
+});
+
+// @desc    Delete one notification
+// @route   DELETE /api/v1/notifications/:id
+exports.deleteNotification = catchAsync(async (req, res, next) => {
+  const notification = await findOwnNotification(req.params.id, req.user);
+  await notification.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+// @desc    Get the current user's default reminder preferences
+// @route   GET /api/v1/notifications/preferences
+exports.getPreferences = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('reminderPreferences');
+
+  res.status(200).json({
+    status: 'success',
+    data: { reminderPreferences: user.reminderPreferences },
+  });
+});
+
+// @desc    Update the current user's default reminder preferences
+// @route   PUT /api/v1/notifications/preferences
+exports.updatePreferences = catchAsync(async (req, res, next) => {
+  const preferences = pickPreferences(req.body);
+  const update = {};
+  Object.keys(preferences).forEach((key) => {
+    update[`reminderPreferences.${key}`] = preferences[key];
+  });
+
+  const user = await User.findByIdAndUpdate(req.user._id, update, {
+    new: true,
+    runValidators: true,
+  }).select('reminderPreferences');
+
+  if (preferences.customTime !== undefined) {
+    await reminderScheduler.rescheduleForUser(user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { reminderPreferences: user.reminderPreferences },
+  });
+});
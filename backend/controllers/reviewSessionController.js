@@ -0,0 +1,298 @@
+const Committee = require('../models/committeFormModel.js');
+const ReviewSession = require('../models/reviewSessionModel.js');
+const Specification = require('../models/specificationModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const { mapUploadedFiles, removeUploadedFiles } = require('../utils/uploadedFiles.js');
+const documentAccess = require('../services/documentAccess.js');
+
+const DECISIONS = ['approved', 'rejected', 'revision_required'];
+
+const mapSessionFiles = (files, type, user) =>
+  mapUploadedFiles(files).map((file) => ({ ...file, type, uploadedBy: user._id }));
+
+// Load the specification and its committee, checking the user takes part in it
+const loadContext = async (specificationId, user) => {
+  const specification = await Specification.findById(specificationId);
+  if (!specification) {
+    throw new AppError('No specification found with that ID', 404);
+  }
+
+  const committee = await Committee.findById(specification.committee);
+  if (!committee) {
+    throw new AppError('Committee not found', 404);
+  }
+  if (!committee.includesUser(user)) {
+    throw new AppError('Only committee members can manage specification reviews', 403);
+  }
+
+  return { specification, committee };
+};
+
+const findSession = async (specification, sessionId) => {
+  const session = await ReviewSession.findOne({ _id: sessionId, specification: specification._id });
+  if (!session) {
+    throw new AppError('No review session found with that ID', 404);
+  }
+  return session;
+};
+
+const assertOpen = (session) => {
+  if (session.status === 'completed') {
+    throw new AppError('This review session is already completed', 409);
+  }
+};
+
+// @desc    Schedule a review session, by default on the committee's review date
+// @route   POST /api/v1/specifications/:specificationId/reviews
+exports.scheduleReview = catchAsync(async (req, res, next) => {
+  const { specification, committee } = await loadContext(req.params.specificationId, req.user);
+
+  if (!['submitted', 'under_review'].includes(specification.status)) {
+    return next(
+      new AppError(`A ${specification.status} specification cannot be scheduled for review`, 409)
+    );
+  }
+
+  const session = await ReviewSession.create({
+    specification: specification._id,
+    committee: committee._id,
+    documentVersion: specification.versions.length,
+    scheduledDate: req.body.scheduledDate || committee.reviewDate,
+    reviewers: committee.members.map((member) => ({
+      employeeId: member.employeeId,
+      name: member.name,
+      role: member.role,
+    })),
+    createdBy: req.user._id,
+  });
+
+  specification.status = 'under_review';
+  await specification.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: { session },
+  });
+});
+
+// @desc    List the review sessions of a specification
+// @route   GET /api/v1/specifications/:specificationId/reviews
+exports.getReviews = catchAsync(async (req, res, next) => {
+  const { specification } = await loadContext(req.params.specificationId, req.user);
+
+  const sessions = await ReviewSession.find({ specification: specification._id })
+    .sort('scheduledDate')
+    .populate('decision.decidedBy', 'name email employeeId');
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: { sessions },
+  });
+});
+
+// @desc    Get a review session
+// @route   GET /api/v1/specifications/:specificationId/reviews/:sessionId
+exports.getReview = catchAsync(async (req, res, next) => {
+  const { specification } = await loadContext(req.params.specificationId, req.user);
+  const session = await findSession(specification, req.params.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { session },
+  });
+});
+
+// @desc    Move a review session to a new date
+// @route   PATCH /api/v1/specifications/:specificationId/reviews/:sessionId/reschedule
+exports.rescheduleReview = catchAsync(async (req, res, next) => {
+  if (!req.body.scheduledDate) {
+    return next(new AppError('Please provide the new review date', 400));
+  }
+
+  const { specification } = await loadContext(req.params.specificationId, req.user);
+  const session = await findSession(specification, req.params.sessionId);
+  assertOpen(session);
+
+  session.scheduledDate = req.body.scheduledDate;
+  session.status = 'rescheduled';
+  await session.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { session },
+  });
+});
+
+// @desc    Record minutes and comments, optionally with minutes documents
+// @route   PATCH /api/v1/specifications/:specificationId/reviews/:sessionId/minutes
+exports.recordMinutes = catchAsync(async (req, res, next) => {
+  try {
+    const { specification } = await loadContext(req.params.specificationId, req.user);
+    const session = await findSession(specification, req.params.sessionId);
+    assertOpen(session);
+    if (session.minutesApproval && session.minutesApproval.approvedAt) {
+      throw new AppError('The minutes of this session have already been approved', 409);
+    }
+
+    if (req.body.minutes !== undefined) session.minutes = req.body.minutes;
+    if (req.body.comment) session.comments.push(req.body.comment);
+    session.documents.push(...mapSessionFiles(req.files, 'review_minutes', req.user));
+    if (session.status !== 'in_progress') {
+      session.status = 'in_progress';
+      session.actualDate = session.actualDate || new Date();
+    }
+    await session.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { session },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+});
+
+// @desc    Approve the recorded minutes (committee chairperson only)
+// @route   POST /api/v1/specifications/:specificationId/reviews/:sessionId/minutes/approve
+exports.approveMinutes = catchAsync(async (req, res, next) => {
+  const { specification } = await loadContext(req.params.specificationId, req.user);
+  const session = await findSession(specification, req.params.sessionId);
+
+  if (!session.minutes) {
+    return next(new AppError('No minutes have been recorded for this session', 400));
+  }
+  if (session.minutesApproval && session.minutesApproval.approvedAt) {
+    return next(new AppError('The minutes of this session have already been approved', 409));
+  }
+
+  session.minutesApproval = { approvedBy: req.user._id, approvedAt: new Date() };
+  await session.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { session },
+  });
+});
+
+// @desc    Attach supporting documents to a review session
+// @route   POST /api/v1/specifications/:specificationId/reviews/:sessionId/documents
+exports.uploadDocuments = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one document', 400));
+  }
+
+  try {
+    const { specification } = await loadContext(req.params.specificationId, req.user);
+    const session = await findSession(specification, req.params.sessionId);
+    assertOpen(session);
+
+    const type = req.body.type || 'supporting_document';
+    session.documents.push(...mapSessionFiles(req.files, type, req.user));
+    await session.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { session },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+});
+
+// @desc    Download a review session document
+// @route   GET /api/v1/specifications/:specificationId/reviews/:sessionId/documents/:docId
+exports.downloadDocument = catchAsync(async (req, res, next) => {
+  const { specification } = await loadContext(req.params.specificationId, req.user);
+  const session = await findSession(specification, req.params.sessionId);
+  const document = session.documents.id(req.params.docId);
+
+  if (!document) {
+    return next(new AppError('No review document found with that ID', 404));
+  }
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'review_document', id: document._id, parent: session._id, name: document.originalname },
+    },
+    filePath: document.path,
+    name: document.originalname,
+    mimetype: document.mimetype,
+  });
+});
+
+// @desc    Record the review decision; the specification takes it as its status
+//          and revision_required reopens submission until the new deadline
+// @route   POST /api/v1/specifications/:specificationId/reviews/:sessionId/decision
+exports.recordDecision = catchAsync(async (req, res, next) => {
+  const { outcome, notes, revisionDeadline, nextReviewDate } = req.body;
+
+  if (!DECISIONS.includes(outcome)) {
+    return next(new AppError(`Decision must be one of: ${DECISIONS.join(', ')}`, 400));
+  }
+  if (outcome === 'revision_required' && !revisionDeadline) {
+    return next(new AppError('Please provide a deadline for the revision', 400));
+  }
+  if (revisionDeadline && Number.isNaN(new Date(revisionDeadline).getTime())) {
+    return next(new AppError('The revision deadline is not a valid date', 400));
+  }
+  if (revisionDeadline && new Date(revisionDeadline) <= Date.now()) {
+    return next(new AppError('The revision deadline must be in the future', 400));
+  }
+  if (nextReviewDate && Number.isNaN(new Date(nextReviewDate).getTime())) {
+    return next(new AppError('The next review date is not a valid date', 400));
+  }
+
+  const { specification } = await loadContext(req.params.specificationId, req.user);
+  const session = await findSession(specification, req.params.sessionId);
+  assertOpen(session);
+
+  if (specification.status !== 'under_review') {
+    return next(new AppError('The specification is not under review', 409));
+  }
+
+  // The specification is saved first: a completed session cannot be decided
+  // again, so it must not close unless the decision has taken effect
+  const previous = {
+    status: specification.status,
+    submissionDeadline: specification.submissionDeadline,
+  };
+  specification.status = outcome;
+  if (outcome === 'revision_required') {
+    specification.submissionDeadline = revisionDeadline;
+  }
+  await specification.save();
+
+  session.decision = {
+    outcome,
+    notes,
+    decidedBy: req.user._id,
+    decidedAt: new Date(),
+  };
+  session.status = 'completed';
+  session.actualDate = session.actualDate || new Date();
+  session.nextReviewDate = nextReviewDate;
+  try {
+    await session.save();
+  } catch (error) {
+    Object.assign(specification, previous);
+    await specification.save();
+    throw error;
+  }
+
+  console.log('Specification review decided:', {
+    timestamp: new Date().toISOString(),
+    specificationId: specification._id,
+    sessionId: session._id,
+    outcome,
+    decidedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: { session, specification },
+  });
+});
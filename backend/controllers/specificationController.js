@@ -0,0 +1,261 @@
+const Diff = require('diff');
+const Committee = require('../models/committeFormModel.js');
+const Specification = require('../models/specificationModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const { removeUploadedFiles } = require('../utils/uploadedFiles.js');
+const { extractText } = require('../services/documentText.js');
+const documentAccess = require('../services/documentAccess.js');
+
+// Build a new version entry from an uploaded file
+const buildVersion = async (file, number, changeNote, user) => {
+  let extractedText = null;
+  try {
+    extractedText = await extractText(file.path, file.mimetype);
+  } catch (err) {
+    console.error('Error extracting specification text:', err.message);
+  }
+
+  return {
+    version: number,
+    filename: file.filename,
+    path: file.path,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    changeNote,
+    extractedText,
+    submittedBy: user._id,
+  };
+};
+
+// Committees the user may see specifications for; null means all of them
+const visibleCommitteeIds = async (user) => {
+  if (user.role === 'admin') return null;
+  const committees = await Committee.find({
+    $or: [{ createdBy: user._id }, { 'members.employeeId': user.employeeId }],
+  }).select('_id');
+  return committees.map((committee) => committee._id);
+};
+
+const findSpecificationForUser = async (id, user, select) => {
+  const query = Specification.findById(id);
+  if (select) query.select(select);
+  const specification = await query;
+  if (!specification) {
+    throw new AppError('No specification found with that ID', 404);
+  }
+
+  const committee = await Committee.findById(specification.committee);
+  if (!committee || !committee.includesUser(user)) {
+    throw new AppError('Only committee members can view this specification', 403);
+  }
+  return specification;
+};
+
+const populateSpecification = (query) =>
+  query
+    .populate('committee', 'name purpose specificationSubmissionDate reviewDate')
+    .populate('createdBy', 'name email employeeId')
+    .populate('versions.submittedBy', 'name email employeeId');
+
+// @desc    Create a specification with its first version
+// @route   POST /api/v1/specifications
+exports.createSpecification = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload the specification document', 400));
+  }
+
+  try {
+    const committee = await Committee.findById(req.body.committeeId);
+    if (!committee) {
+      throw new AppError('Committee not found', 404);
+    }
+    if (!committee.includesUser(req.user)) {
+      throw new AppError('Only committee members can submit specifications', 403);
+    }
+
+    const specification = await Specification.create({
+      committee: committee._id,
+      title: req.body.title,
+      description: req.body.description,
+      status: 'submitted',
+      submissionDeadline: committee.specificationSubmissionDate,
+      versions: [await buildVersion(req.file, 1, req.body.changeNote || 'Initial version', req.user)],
+      createdBy: req.user._id,
+    });
+
+    const populatedSpecification = await populateSpecification(Specification.findById(specification._id));
+
+    res.status(201).json({
+      status: 'success',
+      data: { specification: populatedSpecification },
+    });
+  } catch (error) {
+    removeUploadedFiles([req.file]);
+    throw error;
+  }
+});
+
+// @desc    List specifications, optionally for one committee
+// @route   GET /api/v1/specifications
+exports.getSpecifications = catchAsync(async (req, res, next) => {
+  const filter = {};
+  const committeeIds = await visibleCommitteeIds(req.user);
+  if (committeeIds) filter.committee = { $in: committeeIds };
+  if (req.query.committee) {
+    filter.committee = committeeIds
+      ? { $in: committeeIds.filter((id) => id.toString() === String(req.query.committee)) }
+      : req.query.committee;
+  }
+  if (req.query.status) filter.status = req.query.status;
+
+  const specifications = await populateSpecification(Specification.find(filter).sort('-updatedAt'));
+
+  res.status(200).json({
+    status: 'success',
+    results: specifications.length,
+    data: { specifications },
+  });
+});
+
+// @desc    Get a specification with its version history
+// @route   GET /api/v1/specifications/:id
+exports.getSpecification = catchAsync(async (req, res, next) => {
+  await findSpecificationForUser(req.params.id, req.user);
+  const specification = await populateSpecification(Specification.findById(req.params.id));
+
+  res.status(200).json({
+    status: 'success',
+    data: { specification },
+  });
+});
+
+// @desc    Upload a new version of a specification
+// @route   POST /api/v1/specifications/:id/versions
+exports.uploadVersion = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload the specification document', 400));
+  }
+
+  try {
+    if (!req.body.changeNote || !req.body.changeNote.trim()) {
+      throw new AppError('Please describe what changed in this version', 400);
+    }
+
+    const specification = await Specification.findById(req.params.id);
+    if (!specification) {
+      throw new AppError('No specification found with that ID', 404);
+    }
+
+    const committee = await Committee.findById(specification.committee);
+    if (!committee || !committee.includesUser(req.user)) {
+      throw new AppError('Only committee members can submit specifications', 403);
+    }
+
+    if (!['draft', 'submitted', 'revision_required'].includes(specification.status)) {
+      throw new AppError(`Submissions are closed while the specification is ${specification.status}`, 409);
+    }
+    if (specification.submissionDeadline && specification.submissionDeadline < Date.now()) {
+      throw new AppError('The submission deadline for this specification has passed', 409);
+    }
+
+    // Conditional on the version count, so two uploads cannot take the same number
+    const number = specification.versions.length + 1;
+    const version = await buildVersion(req.file, number, req.body.changeNote.trim(), req.user);
+    const updated = await Specification.findOneAndUpdate(
+      {
+        _id: specification._id,
+        versions: { $size: number - 1 },
+        status: { $in: ['draft', 'submitted', 'revision_required'] },
+      },
+      { $set: { status: 'submitted' }, $push: { versions: version } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('The specification changed while uploading, please try again', 409);
+    }
+
+    console.log('Specification version uploaded:', {
+      timestamp: new Date().toISOString(),
+      specificationId: specification._id,
+      version: number,
+      submittedBy: req.user._id,
+    });
+
+    const populatedSpecification = await populateSpecification(Specification.findById(specification._id));
+
+    res.status(201).json({
+      status: 'success',
+      data: { specification: populatedSpecification },
+    });
+  } catch (error) {
+    removeUploadedFiles([req.file]);
+    throw error;
+  }
+});
+
+// @desc    Download a specific version
+// @route   GET /api/v1/specifications/:id/versions/:version/download
+exports.downloadVersion = catchAsync(async (req, res, next) => {
+  const specification = await findSpecificationForUser(req.params.id, req.user);
+  const version = specification.versions.find((v) => v.version === Number(req.params.version));
+
+  if (!version) {
+    return next(new AppError('No specification version found', 404));
+  }
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'specification', id: version._id, parent: specification._id, name: version.originalname },
+    },
+    filePath: version.path,
+    name: version.originalname,
+    mimetype: version.mimetype,
+  });
+});
+
+// @desc    Text diff between two versions
+// @route   GET /api/v1/specifications/:id/compare?from=1&to=2
+exports.compareVersions = catchAsync(async (req, res, next) => {
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return next(new AppError('Please provide the versions to compare', 400));
+  }
+
+  const specification = await findSpecificationForUser(req.params.id, req.user, '+versions.extractedText');
+
+  const fromVersion = specification.versions.find((v) => v.version === from);
+  const toVersion = specification.versions.find((v) => v.version === to);
+  if (!fromVersion || !toVersion) {
+    return next(new AppError('No specification version found', 404));
+  }
+
+  if (typeof fromVersion.extractedText !== 'string' || typeof toVersion.extractedText !== 'string') {
+    return next(new AppError('Only DOCX and PDF versions can be compared', 422));
+  }
+
+  const changes = Diff.diffLines(fromVersion.extractedText, toVersion.extractedText);
+  const count = (type) =>
+    changes.filter((c) => c[type]).reduce((sum, c) => sum + c.count, 0);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      from,
+      to,
+      stats: { added: count('added'), removed: count('removed') },
+      changes: changes.map((c) => ({
+        type: c.added ? 'added' : c.removed ? 'removed' : 'unchanged',
+        value: c.value,
+      })),
+      patch: Diff.createTwoFilesPatch(
+        `v${from}/${fromVersion.originalname}`,
+        `v${to}/${toVersion.originalname}`,
+        fromVersion.extractedText,
+        toVersion.extractedText
+      ),
+    },
+  });
+});
@@ -0,0 +1,335 @@
+const Committee = require('../models/committeFormModel.js');
+const Task = require('../models/taskModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const { mapUploadedFiles, removeUploadedFiles } = require('../utils/uploadedFiles.js');
+const documentAccess = require('../services/documentAccess.js');
+const inbox = require('../services/inbox.js');
+const realtime = require('../services/realtime.js');
+const reminderScheduler = require('../services/reminderScheduler.js');
+
+const loadCommittee = async (committeeId, user) => {
+  const committee = await Committee.findById(committeeId);
+  if (!committee) {
+    throw new AppError('Committee not found', 404);
+  }
+  if (!committee.includesUser(user)) {
+    throw new AppError('Only committee members can manage committee tasks', 403);
+  }
+  return committee;
+};
+
+const findTask = async (committee, taskId) => {
+  const task = await Task.findOne({ _id: taskId, committee: committee._id });
+  if (!task) {
+    throw new AppError('No task found with that ID', 404);
+  }
+  return task;
+};
+
+// Tasks can only go to members of the committee
+const resolveAssignee = async (committee, employeeId) => {
+  const member = committee.members.find((m) => m.employeeId === employeeId);
+  if (!member) {
+    throw new AppError(`Employee ${employeeId} is not a member of this committee`, 400);
+  }
+
+  const user = await User.findOne({ employeeId });
+  return {
+    user: user ? user._id : undefined,
+    employeeId: member.employeeId,
+    name: member.name,
+    email: member.email,
+  };
+};
+
+const notifyAssignee = async (committee, task) => {
+  realtime.publish([task.assignedTo.user], 'task.assigned', { committeeId: committee._id, task });
+  await inbox.notifyUsers([task.assignedTo.user], {
+    type: 'committee',
+    message: `You have been assigned the task "${task.title}" on committee ${committee.name}`,
+    deadline: task.dueDate,
+    committeeInfo: {
+      committeeId: committee._id,
+      formationDate: committee.formationDate,
+      submissionDate: committee.specificationSubmissionDate,
+      role: committee.getMemberRole({ employeeId: task.assignedTo.employeeId }) || undefined,
+      taskId: task._id,
+    },
+  });
+};
+
+const populateTask = (query) =>
+  query
+    .populate('createdBy', 'name email employeeId')
+    .populate('comments.author', 'name email employeeId');
+
+// @desc    Create a committee task
+// @route   POST /api/v1/committees/:committeeId/tasks
+exports.createTask = catchAsync(async (req, res, next) => {
+  const committee = req.committee;
+
+  const task = await Task.create({
+    committee: committee._id,
+    title: req.body.title,
+    description: req.body.description,
+    dueDate: req.body.dueDate,
+    assignedTo: req.body.assignedTo
+      ? await resolveAssignee(committee, req.body.assignedTo)
+      : undefined,
+    createdBy: req.user._id,
+  });
+  if (task.assignedTo && task.assignedTo.user) {
+    await notifyAssignee(committee, task);
+  }
+  await reminderScheduler.syncTask(task);
+
+  console.log('Committee task created:', {
+    timestamp: new Date().toISOString(),
+    taskId: task._id,
+    committeeId: committee._id,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { task },
+  });
+});
+
+// @desc    List a committee's tasks
+// @route   GET /api/v1/committees/:committeeId/tasks
+exports.getTasks = catchAsync(async (req, res, next) => {
+  const committee = await loadCommittee(req.params.committeeId, req.user);
+
+  const filter = { committee: committee._id };
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.assignedTo) filter['assignedTo.employeeId'] = req.query.assignedTo;
+
+  const tasks = await populateTask(Task.find(filter).sort('dueDate'));
+
+  res.status(200).json({
+    status: 'success',
+    results: tasks.length,
+    data: { tasks },
+  });
+});
+
+// @desc    Get a committee task
+// @route   GET /api/v1/committees/:committeeId/tasks/:taskId
+exports.getTask = catchAsync(async (req, res, next) => {
+  const committee = await loadCommittee(req.params.committeeId, req.user);
+  const task = await findTask(committee, req.params.taskId);
+  const populatedTask = await populateTask(Task.findById(task._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: { task: populatedTask },
+  });
+});
+
+// @desc    Update a committee task
+// @route   PATCH /api/v1/committees/:committeeId/tasks/:taskId
+exports.updateTask = catchAsync(async (req, res, next) => {
+  const committee = await loadCommittee(req.params.committeeId, req.user);
+  const task = await findTask(committee, req.params.taskId);
+
+  const allowedUpdates = {
+    title: req.body.title,
+    description: req.body.description,
+    dueDate: req.body.dueDate,
+    status: req.body.status,
+  };
+
+  Object.keys(allowedUpdates).forEach(
+    (key) => allowedUpdates[key] === undefined && delete allowedUpdates[key]
+  );
+
+  if (allowedUpdates.status === 'overdue') {
+    return next(new AppError('Tasks are marked overdue automatically', 400));
+  }
+
+  // The chairperson plans the work; the assignee only reports progress on it
+  const isChairperson = committee.getMemberRole(req.user) === 'chairperson';
+  const isAssignee = Boolean(task.assignedTo && task.assignedTo.user) &&
+    task.assignedTo.user.toString() === req.user._id.toString();
+  if (['title', 'description', 'dueDate'].some((key) => key in allowedUpdates) && !isChairperson) {
+    return next(new AppError('Only the committee chairperson can change the task details', 403));
+  }
+  if ('status' in allowedUpdates && !isChairperson && !isAssignee) {
+    return next(new AppError('Only the assignee or the committee chairperson can change the task status', 403));
+  }
+
+  const dueDateChanged = allowedUpdates.dueDate !== undefined &&
+    new Date(allowedUpdates.dueDate).getTime() !== (task.dueDate && task.dueDate.getTime());
+
+  Object.assign(task, allowedUpdates);
+
+  const justCompleted = task.status === 'completed' && !task.completedAt;
+  if (justCompleted) {
+    task.completedAt = new Date();
+  }
+  // Only a new due date re-arms the overdue notice; reopening alone does not
+  if (dueDateChanged) {
+    task.overdueNotifiedAt = undefined;
+  }
+  // Moving the due date of an overdue task reopens it
+  if (task.status === 'overdue' && dueDateChanged && task.dueDate > Date.now()) {
+    task.status = 'pending';
+  }
+
+  await task.save();
+  await reminderScheduler.syncTask(task);
+
+  realtime.publish(
+    [task.createdBy, task.assignedTo && task.assignedTo.user],
+    'task.updated',
+    { committeeId: committee._id, task }
+  );
+  if (justCompleted) {
+    await inbox.notifyUsers([task.createdBy], {
+      type: 'status_change',
+      message: `Task "${task.title}" on committee ${committee.name} was completed`,
+      committeeInfo: { committeeId: committee._id, taskId: task._id },
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { task },
+  });
+});
+
+// @desc    Assign a task to a committee member
+// @route   PATCH /api/v1/committees/:committeeId/tasks/:taskId/assign
+exports.assignTask = catchAsync(async (req, res, next) => {
+  if (!req.body.employeeId) {
+    return next(new AppError('Please provide the employee ID of the assignee', 400));
+  }
+
+  const committee = req.committee;
+  const task = await findTask(committee, req.params.taskId);
+
+  task.assignedTo = await resolveAssignee(committee, req.body.employeeId);
+  await task.save();
+  await notifyAssignee(committee, task);
+  await reminderScheduler.syncTask(task);
+
+  res.status(200).json({
+    status: 'success',
+    data: { task },
+  });
+});
+
+// @desc    Attach files to a task
+// @route   POST /api/v1/committees/:committeeId/tasks/:taskId/attachments
+exports.addAttachments = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one file', 400));
+  }
+
+  try {
+    const committee = await loadCommittee(req.params.committeeId, req.user);
+    const task = await findTask(committee, req.params.taskId);
+
+    task.attachments.push(
+      ...mapUploadedFiles(req.files).map((file) => ({ ...file, uploadedBy: req.user._id }))
+    );
+    await task.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: { task },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+});
+
+const findAttachment = async (req) => {
+  const committee = await loadCommittee(req.params.committeeId, req.user);
+  const task = await findTask(committee, req.params.taskId);
+  const attachment = task.attachments.id(req.params.attachmentId);
+
+  if (!attachment) {
+    throw new AppError('No attachment found with that ID', 404);
+  }
+  return { task, attachment };
+};
+
+// @desc    Download a task attachment
+// @route   GET /api/v1/committees/:committeeId/tasks/:taskId/attachments/:attachmentId
+exports.downloadAttachment = catchAsync(async (req, res, next) => {
+  const { task, attachment } = await findAttachment(req);
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'task_attachment', id: attachment._id, parent: task._id, name: attachment.originalname },
+    },
+    filePath: attachment.path,
+    name: attachment.originalname,
+    mimetype: attachment.mimetype,
+  });
+});
+
+// @desc    Access history of a task attachment
+// @route   GET /api/v1/committees/:committeeId/tasks/:taskId/attachments/:attachmentId/access-log
+exports.getAttachmentAccessLog = catchAsync(async (req, res, next) => {
+  const { attachment } = await findAttachment(req);
+  const accessHistory = await documentAccess.getAccessHistory({
+    resource: { kind: 'task_attachment', id: attachment._id },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      document: {
+        id: attachment._id,
+        name: attachment.originalname,
+        type: attachment.mimetype,
+        size: attachment.size,
+        uploadedAt: attachment.uploadedAt,
+        accessHistory,
+      },
+    },
+  });
+});
+
+// @desc    Comment on a task
+// @route   POST /api/v1/committees/:committeeId/tasks/:taskId/comments
+exports.addComment = catchAsync(async (req, res, next) => {
+  if (!req.body.text || !req.body.text.trim()) {
+    return next(new AppError('Comment text is required', 400));
+  }
+
+  const committee = await loadCommittee(req.params.committeeId, req.user);
+  const task = await findTask(committee, req.params.taskId);
+
+  task.comments.push({ text: req.body.text.trim(), author: req.user._id });
+  await task.save();
+
+  const populatedTask = await populateTask(Task.findById(task._id));
+
+  res.status(201).json({
+    status: 'success',
+    data: { task: populatedTask },
+  });
+});
+
+// @desc    Delete a task
+// @route   DELETE /api/v1/committees/:committeeId/tasks/:taskId
+exports.deleteTask = catchAsync(async (req, res, next) => {
+  const committee = req.committee;
+  const task = await findTask(committee, req.params.taskId);
+
+  removeUploadedFiles(task.attachments);
+  await Task.findByIdAndDelete(task._id);
+  await reminderScheduler.cancelReminders(task._id);
+
+  res.status(204).json({
+    status: 'success',
+    message: 'Task deleted successfully',
+  });
+});
@@ -0,0 +1,413 @@
+const Tender = require('../models/tenderModel.js');
+const User = require('../models/userModel.js');
+const tenderLifecycle = require('../services/tenderLifecycle.js');
+const bidOpening = require('../services/bidOpening.js');
+const reminderScheduler = require('../services/reminderScheduler.js');
+const ifbNumber = require('../services/ifbNumber.js');
+const documentAccess = require('../services/documentAccess.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const { mapUploadedFiles, removeUploadedFiles } = require('../utils/uploadedFiles.js');
+
+// Turn a duplicate IFB number into a conflict instead of a server error
+const handleDuplicateIfb = (error) => {
+  if (error.code === 11000 && error.keyPattern && error.keyPattern.ifbNumber) {
+    return new AppError(`IFB number ${error.keyValue.ifbNumber} is already in use`, 409);
+  }
+  return error;
+};
+
+const STAFF_ROLES = ['admin', 'procurement_officer'];
+const FILTERS = {
+  status: Tender.schema.path('status').enumValues,
+  approvalStatus: Tender.schema.path('approvalStatus').enumValues,
+};
+
+// References may or may not be populated
+const sameId = (ref, user) => ref && (ref._id || ref).toString() === user._id.toString();
+
+// Staff, the tender's creator and its evaluation team work on the tender
+const isInsider = (tender, user) =>
+  STAFF_ROLES.includes(user.role) ||
+  sameId(tender.createdBy, user) ||
+  tender.evaluationTeam.some((member) => sameId(member.user, user));
+
+// Bidding documents go public with the tender; drafts stay with the staff working on them
+const canReadDocuments = (tender, user) => tender.status !== 'draft' || isInsider(tender, user);
+
+// Bidders and other outsiders see the public notice, not who evaluates it or its history
+const forReader = (tender, user) => {
+  if (isInsider(tender, user)) return tender;
+
+  const data = tender.toJSON();
+  delete data.evaluationTeam;
+  delete data.history;
+  return data;
+};
+
+const populateTender = (query) =>
+  query
+    .populate('createdBy', 'name email role employeeId')
+    .populate('comments.author', 'name email employeeId')
+    .populate('history.actor', 'name email employeeId')
+    .populate('evaluationTeam.user', 'name email employeeId department')
+    .populate('awardedTo', 'companyName registrationNumber');
+
+// @desc    Create a new tender
+// @route   POST /api/v1/tenders
+exports.createTender = catchAsync(async (req, res, next) => {
+  try {
+    if (req.body.ifbNumber) {
+      await ifbNumber.assertReservedIfbNumber(req.body.ifbNumber);
+    }
+
+    const tender = await Tender.create({
+      ifbNumber: req.body.ifbNumber,
+      title: req.body.title,
+      description: req.body.description,
+      publishDate: req.body.publishDate,
+      openingDate: req.body.openingDate,
+      clarificationDeadline: req.body.clarificationDeadline,
+      bidValidity: req.body.bidValidity,
+      bidSecurityAmount: req.body.bidSecurityAmount,
+      bidPrintLimit: req.body.bidPrintLimit,
+      documents: mapUploadedFiles(req.files),
+      createdBy: req.user._id,
+    });
+
+    await reminderScheduler.syncTender(tender);
+
+    const populatedTender = await populateTender(Tender.findById(tender._id));
+
+    res.status(201).json({
+      status: 'success',
+      data: { tender: populatedTender },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw handleDuplicateIfb(error);
+  }
+});
+
+// @desc    Get all tenders
+// @route   GET /api/v1/tenders
+exports.getTenders = catchAsync(async (req, res, next) => {
+  const filter = {};
+  for (const [field, values] of Object.entries(FILTERS)) {
+    const value = req.query[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || !values.includes(value)) {
+      return next(new AppError(`${field} must be one of: ${values.join(', ')}`, 400));
+    }
+    filter[field] = value;
+  }
+
+  // Other users only see drafts they created or evaluate
+  if (!STAFF_ROLES.includes(req.user.role)) {
+    filter.$or = [
+      { status: { $ne: 'draft' } },
+      { createdBy: req.user._id },
+      { 'evaluationTeam.user': req.user._id },
+    ];
+  }
+
+  const tenders = await populateTender(Tender.find(filter).sort('-createdAt'));
+
+  res.status(200).json({
+    status: 'success',
+    results: tenders.length,
+    data: { tenders: tenders.map((tender) => forReader(tender, req.user)) },
+  });
+});
+
+// @desc    Get a single tender
+// @route   GET /api/v1/tenders/:id
+exports.getTender = catchAsync(async (req, res, next) => {
+  const tender = await populateTender(Tender.findById(req.params.id));
+
+  // A draft is not disclosed to users who cannot read it
+  if (!tender || !canReadDocuments(tender, req.user)) {
+    return next(new AppError('No tender found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { tender: forReader(tender, req.user) },
+  });
+});
+
+// @desc    Update a draft tender; uploaded documents are appended
+// @route   PATCH /api/v1/tenders/:id
+exports.updateTender = catchAsync(async (req, res, next) => {
+  if (req.body.status || req.body.approvalStatus) {
+    removeUploadedFiles(req.files);
+    return next(
+      new AppError('This route is not for status updates. Please use the lifecycle actions.', 400)
+    );
+  }
+
+  try {
+    const tender = await Tender.findById(req.params.id);
+
+    if (!tender) {
+      removeUploadedFiles(req.files);
+      return next(new AppError('No tender found with that ID', 404));
+    }
+
+    // Once published, dates, documents and the IFB number are part of the public notice
+    if (tender.status !== 'draft') {
+      removeUploadedFiles(req.files);
+      return next(new AppError(`A ${tender.status} tender can no longer be edited`, 409));
+    }
+
+    const allowedUpdates = {
+      ifbNumber: req.body.ifbNumber,
+      title: req.body.title,
+      description: req.body.description,
+      publishDate: req.body.publishDate,
+      openingDate: req.body.openingDate,
+      clarificationDeadline: req.body.clarificationDeadline,
+      bidValidity: req.body.bidValidity,
+      bidSecurityAmount: req.body.bidSecurityAmount,
+      bidPrintLimit: req.body.bidPrintLimit,
+    };
+
+    Object.keys(allowedUpdates).forEach(
+      (key) => allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    if (allowedUpdates.ifbNumber && allowedUpdates.ifbNumber !== tender.ifbNumber) {
+      await ifbNumber.assertReservedIfbNumber(allowedUpdates.ifbNumber);
+    }
+
+    Object.assign(tender, allowedUpdates);
+    tender.documents.push(...mapUploadedFiles(req.files));
+    await tender.save();
+    await reminderScheduler.syncTender(tender);
+
+    console.log('Tender updated:', {
+      timestamp: new Date().toISOString(),
+      tenderId: tender._id,
+      title: tender.title,
+      updatedBy: req.user._id,
+    });
+
+    const populatedTender = await populateTender(Tender.findById(tender._id));
+
+    res.status(200).json({
+      status: 'success',
+      data: { tender: populatedTender },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw handleDuplicateIfb(error);
+  }
+});
+
+// @desc    Run a lifecycle action (approve, reject, resubmit, publish, close, award)
+// @route   POST /api/v1/tenders/:id/<action>
+exports.transitionTender = (action) =>
+  catchAsync(async (req, res, next) => {
+    const tender = await Tender.findById(req.params.id);
+    if (!tender) {
+      return next(new AppError('No tender found with that ID', 404));
+    }
+
+    await tenderLifecycle.transition(tender, action, req.user, req.body.note);
+
+    console.log('Tender transition:', {
+      timestamp: new Date().toISOString(),
+      tenderId: tender._id,
+      action,
+      actor: req.user._id,
+    });
+
+    const populatedTender = await populateTender(Tender.findById(tender._id));
+
+    res.status(200).json({
+      status: 'success',
+      data: { tender: populatedTender },
+    });
+  });
+
+const findReadableDocument = async (req) => {
+  const tender = await Tender.findById(req.params.id);
+  const document = tender && tender.documents.id(req.params.docId);
+
+  if (!document) {
+    throw new AppError('No tender document found with that ID', 404);
+  }
+
+  if (!canReadDocuments(tender, req.user)) {
+    throw new AppError('You do not have permission to perform this action', 403);
+  }
+  return { tender, document };
+};
+
+// @desc    Download a tender document
+// @route   GET /api/v1/tenders/:id/documents/:docId
+exports.downloadDocument = catchAsync(async (req, res, next) => {
+  const { tender, document } = await findReadableDocument(req);
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'tender_document', id: document._id, parent: tender._id, name: document.originalname },
+    },
+    filePath: document.path,
+    name: document.originalname,
+    mimetype: document.mimetype,
+  });
+});
+
+// @desc    Access history of a tender document
+// @route   GET /api/v1/tenders/:id/documents/:docId/access-log
+exports.getDocumentAccessLog = catchAsync(async (req, res, next) => {
+  const { document } = await findReadableDocument(req);
+  const accessHistory = await documentAccess.getAccessHistory({
+    resource: { kind: 'tender_document', id: document._id },
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      document: {
+        id: document._id,
+        name: document.originalname,
+        type: document.mimetype,
+        size: document.size,
+        accessHistory,
+      },
+    },
+  });
+});
+
+// @desc    Preview the next IFB number for a department
+// @route   GET /api/v1/tenders/ifb-number/next
+exports.previewIfbNumber = catchAsync(async (req, res, next) => {
+  const department = req.query.department || req.user.department;
+  const preview = await ifbNumber.previewNextIfbNumber(department);
+
+  res.status(200).json({
+    status: 'success',
+    data: { ifbNumber: preview },
+  });
+});
+
+// @desc    Reserve the next IFB number for a department
+// @route   POST /api/v1/tenders/ifb-number/reserve
+exports.reserveIfbNumber = catchAsync(async (req, res, next) => {
+  const department = req.body.department || req.user.department;
+  const reserved = await ifbNumber.reserveIfbNumber(department);
+
+  console.log('IFB number reserved:', {
+    timestamp: new Date().toISOString(),
+    ifbNumber: reserved,
+    reservedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: { ifbNumber: reserved },
+  });
+});
+
+// @desc    Replace the evaluation team of a tender
+// @route   PUT /api/v1/tenders/:id/evaluation-team
+exports.setEvaluationTeam = catchAsync(async (req, res, next) => {
+  const { members } = req.body;
+  if (!Array.isArray(members) || members.length === 0) {
+    return next(new AppError('Please provide the evaluation team members', 400));
+  }
+
+  const tender = await Tender.findById(req.params.id);
+  if (!tender) {
+    return next(new AppError('No tender found with that ID', 404));
+  }
+
+  if (tender.bidsOpenedAt) {
+    return next(new AppError('The evaluation team cannot change after bids are opened', 409));
+  }
+
+  const team = [];
+  for (const member of members) {
+    const user = await User.findOne({ employeeId: member.employeeId });
+    if (!user) {
+      return next(new AppError(`User with employee ID ${member.employeeId} not found`, 404));
+    }
+    team.push({ user: user._id, role: member.role || 'member' });
+  }
+
+  // A team missing a quorum role could never open the bids
+  const missingRoles = bidOpening
+    .getQuorumRoles()
+    .filter((role) => !team.some((member) => member.role === role));
+  if (missingRoles.length > 0) {
+    return next(
+      new AppError(`The evaluation team needs a ${missingRoles.join(' and a ')} to open bids`, 400)
+    );
+  }
+
+  tender.evaluationTeam = team;
+  await tender.save();
+  await reminderScheduler.syncTender(tender);
+
+  const populatedTender = await populateTender(Tender.findById(tender._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: { tender: populatedTender },
+  });
+});
+
+// @desc    Add a comment to a tender
+// @route   POST /api/v1/tenders/:id/comments
+exports.addComment = catchAsync(async (req, res, next) => {
+  if (!req.body.text || !req.body.text.trim()) {
+    return next(new AppError('Comment text is required', 400));
+  }
+
+  const tender = await Tender.findById(req.params.id);
+  if (!tender || !canReadDocuments(tender, req.user)) {
+    return next(new AppError('No tender found with that ID', 404));
+  }
+
+  tender.comments.push({ text: req.body.text.trim(), author: req.user._id });
+  await tender.save();
+
+  const populatedTender = await populateTender(Tender.findById(tender._id));
+
+  res.status(201).json({
+    status: 'success',
+    data: { tender: forReader(populatedTender, req.user) },
+  });
+});
+
+// @desc    Delete a draft tender and its documents
+// @route   DELETE /api/v1/tenders/:id
+exports.deleteTender = catchAsync(async (req, res, next) => {
+  // Published tenders are part of the procurement record and may hold bids;
+  // the status condition also loses to a publish that lands first
+  const tender = await Tender.findOneAndDelete({ _id: req.params.id, status: 'draft' });
+  if (!tender) {
+    const existing = await Tender.findById(req.params.id);
+    if (!existing) {
+      return next(new AppError('No tender found with that ID', 404));
+    }
+    return next(new AppError(`A ${existing.status} tender cannot be deleted`, 409));
+  }
+
+  removeUploadedFiles(tender.documents);
+  await reminderScheduler.cancelReminders(tender._id);
+
+  console.log('Tender deleted:', {
+    timestamp: new Date().toISOString(),
+    tenderId: tender._id,
+    title: tender.title,
+    deletedBy: req.user._id,
+  });
+
+  res.status(204).json({
+    status: 'success',
+    message: 'Tender deleted successfully',
+  });
+});
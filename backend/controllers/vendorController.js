@@ -0,0 +1,242 @@
+const Vendor = require('../models/vendorModel.js');
+const AppError = require('../utils/appError.js');
+const catchAsync = require('../utils/catchAsync.js');
+const { mapUploadedFiles, removeUploadedFiles } = require('../utils/uploadedFiles.js');
+const documentAccess = require('../services/documentAccess.js');
+
+const REVIEWER_ROLES = ['admin', 'procurement_officer'];
+
+// Categories arrive as an array, a JSON array or a comma-separated string
+const parseCategories = (category) => {
+  if (!category) return [];
+  if (Array.isArray(category)) return category.filter((c) => typeof c === 'string');
+  if (typeof category !== 'string') {
+    throw new AppError('Category must be a list of names', 400);
+  }
+  try {
+    const parsed = JSON.parse(category);
+    return Array.isArray(parsed) ? parsed.filter((c) => typeof c === 'string') : [String(parsed)];
+  } catch (err) {
+    return category.split(',').map((c) => c.trim()).filter(Boolean);
+  }
+};
+
+const isOwner = (vendor, user) => vendor.user.toString() === user._id.toString();
+
+// @desc    Register the current user's company as a vendor
+// @route   POST /api/v1/vendors/register
+exports.registerVendor = catchAsync(async (req, res, next) => {
+  try {
+    const existing = await Vendor.findOne({ user: req.user._id });
+    if (existing) {
+      removeUploadedFiles(req.files);
+      return next(new AppError('You have already registered a vendor profile', 409));
+    }
+
+    const vendor = await Vendor.create({
+      user: req.user._id,
+      companyName: req.body.companyName,
+      registrationNumber: req.body.registrationNumber,
+      email: req.body.email,
+      phone: req.body.phone,
+      address: req.body.address,
+      category: parseCategories(req.body.category),
+      documents: mapUploadedFiles(req.files),
+    });
+
+    console.log('Vendor registered:', {
+      timestamp: new Date().toISOString(),
+      vendorId: vendor._id,
+      companyName: vendor.companyName,
+      userId: req.user._id,
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: { vendor },
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.registrationNumber) {
+      throw new AppError('A vendor with that registration number already exists', 409);
+    }
+    throw error;
+  }
+});
+
+// @desc    Get the current user's vendor profile
+// @route   GET /api/v1/vendors/me
+exports.getMyVendor = catchAsync(async (req, res, next) => {
+  const vendor = await Vendor.findOne({ user: req.user._id });
+  if (!vendor) {
+    return next(new AppError('You have not registered a vendor profile', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { vendor },
+  });
+});
+
+// @desc    Get all vendors
+// @route   GET /api/v1/vendors
+exports.getVendors = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+  if (req.query.category) filter.category = req.query.category;
+
+  const vendors = await Vendor.find(filter)
+    .sort('-createdAt')
+    .populate('user', 'name email employeeId');
+
+  res.status(200).json({
+    status: 'success',
+    results: vendors.length,
+    data: { vendors },
+  });
+});
+
+// @desc    Get a single vendor (reviewers or the owner)
+// @route   GET /api/v1/vendors/:id
+exports.getVendor = catchAsync(async (req, res, next) => {
+  const vendor = await Vendor.findById(req.params.id)
+    .populate('user', 'name email employeeId')
+    .populate('reviewedBy', 'name email employeeId');
+
+  if (!vendor) {
+    return next(new AppError('No vendor found with that ID', 404));
+  }
+
+  if (!REVIEWER_ROLES.includes(req.user.role) && vendor.user._id.toString() !== req.user._id.toString()) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { vendor },
+  });
+});
+
+// @desc    Upload additional documents; a rejected vendor goes back to pending
+// @route   POST /api/v1/vendors/:id/documents
+exports.uploadDocuments = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one document', 400));
+  }
+
+  const vendor = await Vendor.findById(req.params.id);
+  if (!vendor) {
+    removeUploadedFiles(req.files);
+    return next(new AppError('No vendor found with that ID', 404));
+  }
+
+  if (!isOwner(vendor, req.user)) {
+    removeUploadedFiles(req.files);
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  vendor.documents.push(...mapUploadedFiles(req.files));
+  if (vendor.status === 'rejected') {
+    vendor.status = 'pending';
+    vendor.rejectionReason = undefined;
+  }
+  await vendor.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { vendor },
+  });
+});
+
+// @desc    Download a vendor document (reviewers or the owner)
+// @route   GET /api/v1/vendors/:id/documents/:docId
+exports.downloadDocument = catchAsync(async (req, res, next) => {
+  const vendor = await Vendor.findById(req.params.id);
+  const document = vendor && vendor.documents.id(req.params.docId);
+
+  if (!document) {
+    return next(new AppError('No vendor document found with that ID', 404));
+  }
+
+  if (!REVIEWER_ROLES.includes(req.user.role) && !isOwner(vendor, req.user)) {
+    return next(new AppError('You do not have permission to perform this action', 403));
+  }
+
+  await documentAccess.sendFile(req, res, {
+    target: {
+      resource: { kind: 'vendor_document', id: document._id, parent: vendor._id, name: document.originalname },
+    },
+    filePath: document.path,
+    name: document.originalname,
+    mimetype: document.mimetype,
+  });
+});
+
+// @desc    Score a vendor against the qualification criteria
+// @route   PATCH /api/v1/vendors/:id/qualification
+exports.updateQualification = catchAsync(async (req, res, next) => {
+  const { qualifications } = req.body;
+  if (!Array.isArray(qualifications) || qualifications.length === 0) {
+    return next(new AppError('Please provide the qualification criteria', 400));
+  }
+
+  const vendor = await Vendor.findById(req.params.id);
+  if (!vendor) {
+    return next(new AppError('No vendor found with that ID', 404));
+  }
+
+  vendor.qualifications = qualifications.map((q) => ({
+    criteria: q.criteria,
+    minimumRequirement: q.minimumRequirement,
+    weight: q.weight,
+    score: q.score,
+  }));
+  await vendor.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { vendor },
+  });
+});
+
+const reviewVendor = (decision) =>
+  catchAsync(async (req, res, next) => {
+    if (decision === 'rejected' && !req.body.reason) {
+      return next(new AppError('Please provide a reason for rejection', 400));
+    }
+
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return next(new AppError('No vendor found with that ID', 404));
+    }
+
+    if (vendor.status !== 'pending') {
+      return next(new AppError(`Vendor has already been ${vendor.status}`, 409));
+    }
+
+    vendor.status = decision;
+    vendor.reviewedBy = req.user._id;
+    vendor.reviewedAt = new Date();
+    vendor.rejectionReason = decision === 'rejected' ? req.body.reason : undefined;
+    await vendor.save();
+
+    console.log('Vendor reviewed:', {
+      timestamp: new Date().toISOString(),
+      vendorId: vendor._id,
+      decision,
+      reviewedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { vendor },
+    });
+  });
+
+// @desc    Approve a pending vendor
+// @route   POST /api/v1/vendors/:id/approve
+exports.approveVendor = reviewVendor('approved');
+
+// @desc    Reject a pending vendor with a reason
+// @route   POST /api/v1/vendors/:id/reject
+exports.rejectVendor = reviewVendor('rejected');
@@ -0,0 +1,22 @@
+const runEvery = require('../utils/runEvery.js');
+const tenderLifecycle = require('../services/tenderLifecycle.js');
+const complaintSla = require('../services/complaintSla.js');
+const taskOverdue = require('../services/taskOverdue.js');
+const letterDistribution = require('../services/letterDistribution.js');
+const notifications = require('../services/notifications');
+const reminderScheduler = require('../services/reminderScheduler.js');
+
+const MINUTE = 60 * 1000;
+
+// Start the background jobs once the database connection is up
+const startJobs = () => {
+  runEvery('outbound-messages', MINUTE, notifications.processQueue);
+  runEvery('close-due-tenders', MINUTE, tenderLifecycle.closeDueTenders);
+  runEvery('complaint-sla', 5 * MINUTE, complaintSla.flagSlaBreaches);
+  runEvery('overdue-tasks', 15 * MINUTE, taskOverdue.markOverdueTasks);
+  runEvery('deadline-reminders', MINUTE, reminderScheduler.runDueReminders);
+  runEvery('reminder-sync', 60 * MINUTE, reminderScheduler.syncAll);
+  runEvery('letter-ack-reminders', 60 * MINUTE, letterDistribution.sendAcknowledgmentReminders);
+};
+
+module.exports = startJobs;
@@ -1,4 +1,5 @@
 const AppError = require('../utils/appError');
+const Committee = require('../models/committeFormModel.js');
 
 const checkPermission = (permission) => {
   return (req, res, next) => {
@@ -42,7 +43,47 @@ const checkAnyPermission = (permissions) => {
   };
 };
 
+// Function to check the user's role on a committee (chairperson, secretary, member).
+// The committee ID comes from the route unless a resolver is given, which may be async.
+const checkCommitteeRole = (
+  roles,
+  getCommitteeId = (req) => req.params.committeeId || req.params.id
+) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Authentication error: User data incomplete', 401));
+    }
+
+    try {
+      const committeeId = await getCommitteeId(req);
+      const committee = committeeId ? await Committee.findById(committeeId) : null;
+      if (!committee) {
+        return next(new AppError('Committee not found', 404));
+      }
+
+      const committeeRole = committee.getMemberRole(req.user);
+      if (!allowedRoles.includes(committeeRole)) {
+        return next(
+          new AppError(
+            `Only the committee ${allowedRoles.join(' or ')} can perform this action`,
+            403
+          )
+        );
+      }
+
+      req.committee = committee;
+      req.committeeRole = committeeRole;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
   checkPermission,
   checkAnyPermission,
+  checkCommitteeRole,
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Encrypted payload produced by utils/bidCrypto.js
+const sealedSchema = {
+  iv: String,
+  tag: String,
+  data: String
+};
+
+const BidSchema = new Schema({
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender',
+    required: true
+  },
+  vendor: {
+    type: Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  submittedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sealedAmount: {
+    type: sealedSchema,
+    required: true,
+    select: false
+  },
+  documents: [{
+    filename: String,
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number,
+    iv: String,
+    tag: String
+  }],
+  bidSecurity: {
+    amount: Number,
+    reference: String,
+    issuer: String,
+    validUntil: Date
+  },
+  submissionDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'under_review', 'accepted', 'rejected'],
+    default: 'submitted'
+  },
+  technicalScore: Number,
+  technicalStatus: {
+    type: String,
+    enum: ['pending', 'qualified', 'disqualified'],
+    default: 'pending'
+  }
+},
+  { timestamps: true }
+);
+
+// One sealed bid per vendor per tender
+BidSchema.index({ tender: 1, vendor: 1 }, { unique: true });
+
+module.exports = mongoose.model('Bid', BidSchema);
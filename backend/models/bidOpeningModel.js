@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError.js');
+const Schema = mongoose.Schema;
+
+const BidOpeningSchema = new Schema({
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  approvals: [{
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['chair', 'member', 'secretary']
+    },
+    approvedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  bidders: [{
+    bid: {
+      type: Schema.Types.ObjectId,
+      ref: 'Bid'
+    },
+    vendor: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vendor'
+    },
+    companyName: String,
+    registrationNumber: String,
+    bidAmount: Number,
+    submissionDate: Date,
+    bidSecurity: {
+      amount: Number,
+      reference: String,
+      issuer: String,
+      validUntil: Date,
+      status: {
+        type: String,
+        enum: ['valid', 'missing', 'insufficient', 'expired']
+      }
+    }
+  }],
+  completedAt: Date
+},
+  { timestamps: true }
+);
+
+// Once the opening is completed the record can never change
+BidOpeningSchema.post('init', function () {
+  this.$locals.completedOnLoad = this.status === 'completed';
+});
+
+BidOpeningSchema.pre('save', function (next) {
+  if (this.$locals.completedOnLoad) {
+    return next(new AppError('Bid opening records cannot be modified', 409));
+  }
+  next();
+});
+
+// Approvals are pushed atomically while the opening is pending; a completed
+// record never matches an update
+BidOpeningSchema.pre(['updateOne', 'findOneAndUpdate'], function (next) {
+  this.where({ status: { $ne: 'completed' } });
+  next();
+});
+
+BidOpeningSchema.pre(
+  ['updateMany', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new AppError('Bid opening records cannot be modified', 409));
+  }
+);
+
+module.exports = mongoose.model('BidOpening', BidOpeningSchema);
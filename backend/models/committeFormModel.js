@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const COMMITTEE_ROLES = ['chairperson', 'secretary', 'member'];
+
 const CommitteeSchema = new Schema({
   name: {
     type: String,
@@ -25,14 +27,28 @@ const CommitteeSchema = new Schema({
   schedule: {
     type: String
   },
-  members: [{
-    employeeId: String,
-    name: String,
-    role: String,
-    email: String,
-    department: String,
-    designation: String
-  }],
+  members: {
+    type: [{
+      employeeId: String,
+      name: String,
+      // Role on this committee, not the user's global role
+      role: {
+        type: String,
+        enum: COMMITTEE_ROLES,
+        default: 'member'
+      },
+      email: String,
+      department: String,
+      designation: String
+    }],
+    validate: {
+      validator: (members) =>
+        ['chairperson', 'secretary'].every(
+          (role) => members.filter((member) => member.role === role).length <= 1
+        ),
+      message: 'A committee can have at most one chairperson and one secretary'
+    }
+  },
   formationLetter: {
     filename: String,
     path: String,
@@ -45,14 +61,97 @@ const CommitteeSchema = new Schema({
     ref: 'User',
     required: true
   },
+  // Department of the creator; decides who approves the committee
+  department: String,
   approvalStatus: {
     type: String,
     enum: ['draft', 'pending', 'approved', 'rejected'],
     default: 'draft',
-  }
+  },
+  approval: {
+    submittedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    decidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    rejectionReason: String
+  },
+  // Changes to membership or dates of an approved committee
+  amendments: [{
+    changes: {
+      members: [{
+        employeeId: String,
+        name: String,
+        role: {
+          type: String,
+          enum: COMMITTEE_ROLES
+        },
+        email: String,
+        department: String,
+        designation: String
+      }],
+      formationDate: Date,
+      specificationSubmissionDate: Date,
+      reviewDate: Date
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    requestedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    decidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    rejectionReason: String
+  }]
 },
   { timestamps: true } // 
 );
 
+// Committees created before per-committee roles copied the member's global
+// role here; treat those members as plain members
+CommitteeSchema.pre('validate', function (next) {
+  this.members.forEach((member) => {
+    if (!COMMITTEE_ROLES.includes(member.role)) member.role = 'member';
+  });
+  next();
+});
+
+// Admins, the creator and listed members take part in committee work
+CommitteeSchema.methods.includesUser = function (user) {
+  return (
+    user.role === 'admin' ||
+    (this.createdBy._id || this.createdBy).toString() === user._id.toString() ||
+    this.members.some((member) => member.employeeId === user.employeeId)
+  );
+};
+
+// The user's role on this committee, or null if they are not a member
+CommitteeSchema.methods.getMemberRole = function (user) {
+  const member = this.members.find((m) => m.employeeId === user.employeeId);
+  if (!member) return null;
+  return COMMITTEE_ROLES.includes(member.role) ? member.role : 'member';
+};
+
 // Export the model
-module.exports = mongoose.model('Committee', CommitteeSchema);
\ No newline at end of file
+module.exports = mongoose.model('Committee', CommitteeSchema);
+module.exports.COMMITTEE_ROLES = COMMITTEE_ROLES;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const fileSchema = {
+  filename: String,
+  path: String,
+  originalname: String,
+  mimetype: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+};
+
+// Hours allowed for the first response, by priority
+const SLA_HOURS = {
+  high: () => parseFloat(process.env.COMPLAINT_SLA_HOURS_HIGH) || 24,
+  medium: () => parseFloat(process.env.COMPLAINT_SLA_HOURS_MEDIUM) || 72,
+  low: () => parseFloat(process.env.COMPLAINT_SLA_HOURS_LOW) || 168,
+};
+
+const ComplaintSchema = new Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a complaint title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the complaint']
+  },
+  submittedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agencyId: String,
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender'
+  },
+  category: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // Set when an officer confirms the priority; only a confirmed high
+  // priority can put the tender in standstill
+  priorityReviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  priorityReviewedAt: Date,
+  status: {
+    type: String,
+    enum: ['pending', 'under_review', 'resolved', 'rejected'],
+    default: 'pending'
+  },
+  emailNotifications: {
+    type: Boolean,
+    default: true
+  },
+  documents: [fileSchema],
+  responses: [{
+    response: {
+      type: String,
+      required: true
+    },
+    respondedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: {
+      type: Date,
+      default: Date.now
+    },
+    attachments: [fileSchema]
+  }],
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseDueAt: Date,
+  firstRespondedAt: Date,
+  slaBreached: {
+    type: Boolean,
+    default: false
+  },
+  slaBreachedAt: Date,
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalatedAt: Date
+},
+  { timestamps: true }
+);
+
+ComplaintSchema.statics.getSlaHours = function (priority) {
+  return SLA_HOURS[priority]();
+};
+
+// Set the response deadline from the priority until someone responds
+ComplaintSchema.pre('save', function (next) {
+  if (this.firstRespondedAt) return next();
+  if (!this.isNew && !this.isModified('priority')) return next();
+
+  const hours = this.constructor.getSlaHours(this.priority);
+  this.responseDueAt = new Date(this.submittedAt.getTime() + hours * 60 * 60 * 1000);
+  next();
+});
+
+module.exports = mongoose.model('Complaint', ComplaintSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A signed conflict-of-interest declaration by one evaluator for one tender
+const ConflictDeclarationSchema = new Schema({
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender',
+    required: true
+  },
+  evaluator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  vendors: [{
+    vendor: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vendor',
+      required: true
+    },
+    companyName: String,
+    hasConflict: {
+      type: Boolean,
+      required: true
+    },
+    details: String
+  }],
+  hasConflict: {
+    type: Boolean,
+    default: false
+  },
+  signature: {
+    type: String,
+    required: [true, 'Please sign the declaration with your full name'],
+    trim: true
+  },
+  signedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String
+},
+  { timestamps: true }
+);
+
+ConflictDeclarationSchema.index({ tender: 1, evaluator: 1 }, { unique: true });
+
+// Keep the summary flag in sync with the per-vendor answers
+ConflictDeclarationSchema.pre('save', function (next) {
+  this.hasConflict = this.vendors.some((v) => v.hasConflict);
+  next();
+});
+
+module.exports = mongoose.model('ConflictDeclaration', ConflictDeclarationSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Named sequences, incremented atomically with $inc
+const CounterSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+},
+  { timestamps: true }
+);
+
+// Atomically consume the next number in a sequence, creating it on first use
+CounterSchema.statics.nextSequence = async function (key) {
+  let counter;
+  try {
+    counter = await this.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    // Two first-ever reservations can race on the upsert; the loser retries
+    if (err.code !== 11000) throw err;
+    counter = await this.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true }
+    );
+  }
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Who approves committees formed in a department
+const DepartmentApproverSchema = new Schema({
+  department: {
+    type: String,
+    required: [true, 'Please provide a department'],
+    unique: true,
+    trim: true
+  },
+  approver: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please provide an approver']
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+},
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('DepartmentApprover', DepartmentApproverSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Files stored on other records rather than in the vault
+const RESOURCE_KINDS = [
+  'tender_document',
+  'vendor_document',
+  'bid_document',
+  'bid_opening_minutes',
+  'formation_letter',
+  'specification',
+  'review_document',
+  'task_attachment',
+  'complaint_document'
+];
+
+// One view, download or print of a vault document or another stored file
+const DocumentAccessLogSchema = new Schema({
+  document: {
+    type: Schema.Types.ObjectId,
+    ref: 'Document',
+    index: true
+  },
+  resource: {
+    kind: {
+      type: String,
+      enum: RESOURCE_KINDS
+    },
+    // The file's own ID, or the record's when it holds a single file
+    id: Schema.Types.ObjectId,
+    // The tender, vendor, committee or other record holding the file
+    parent: Schema.Types.ObjectId,
+    name: String
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['view', 'download', 'print'],
+    required: true
+  },
+  traceId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DocumentAccessLogSchema.index({ 'resource.id': 1 });
+
+DocumentAccessLogSchema.pre('validate', function (next) {
+  if (!this.document && !(this.resource && this.resource.kind)) {
+    this.invalidate('document', 'An access log entry needs a document or a resource');
+  }
+  next();
+});
+
+module.exports = mongoose.model('DocumentAccessLog', DocumentAccessLogSchema);
+module.exports.RESOURCE_KINDS = RESOURCE_KINDS;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A file held in the secure document vault
+const DocumentSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  path: {
+    type: String,
+    required: true,
+    select: false
+  },
+  mimetype: String,
+  size: Number,
+  isConfidential: {
+    type: Boolean,
+    default: false
+  },
+  // Maximum prints per user; unset means unlimited
+  printLimit: {
+    type: Number,
+    min: 0
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  grants: [{
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    grantedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+},
+  { timestamps: true }
+);
+
+DocumentSchema.methods.canAccess = function (user) {
+  if (user.role === 'admin') return true;
+  if (this.owner.toString() === user._id.toString()) return true;
+  return this.grants.some((grant) => grant.user.toString() === user._id.toString());
+};
+
+module.exports = mongoose.model('Document', DocumentSchema);
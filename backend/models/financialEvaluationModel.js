@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError.js');
+const Schema = mongoose.Schema;
+
+const FinancialEvaluationSchema = new Schema({
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender',
+    required: true,
+    unique: true
+  },
+  method: {
+    type: String,
+    enum: ['lowest_evaluated_cost', 'qcbs', 'fixed_budget'],
+    required: true
+  },
+  technicalWeight: Number,
+  financialWeight: Number,
+  budget: Number,
+  results: [{
+    vendor: {
+      type: Schema.Types.ObjectId,
+      ref: 'Vendor'
+    },
+    bid: {
+      type: Schema.Types.ObjectId,
+      ref: 'Bid'
+    },
+    bidAmount: Number,
+    technicalScore: Number,
+    financialScore: Number,
+    totalScore: Number,
+    rank: Number,
+    status: {
+      type: String,
+      enum: ['pending', 'evaluated', 'approved', 'rejected'],
+      default: 'evaluated'
+    },
+    remarks: String
+  }],
+  evaluatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  evaluatedAt: Date,
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  lockedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedAt: Date
+},
+  { timestamps: true }
+);
+
+// A locked ranking is final
+FinancialEvaluationSchema.post('init', function () {
+  this.$locals.lockedOnLoad = this.locked;
+});
+
+FinancialEvaluationSchema.pre('save', function (next) {
+  if (this.$locals.lockedOnLoad) {
+    return next(new AppError('This ranking is locked and cannot change', 409));
+  }
+  next();
+});
+
+module.exports = mongoose.model('FinancialEvaluation', FinancialEvaluationSchema);
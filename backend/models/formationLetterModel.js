@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const fileSchema = {
+  filename: String,
+  path: String,
+  mimetype: String,
+  size: Number
+};
+
+// One generated version of a committee's formation letter. All versions
+// of a committee's letter share its reference number.
+const FormationLetterSchema = new Schema({
+  committee: {
+    type: Schema.Types.ObjectId,
+    ref: 'Committee',
+    required: true
+  },
+  referenceNumber: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  department: String,
+  purpose: String,
+  template: {
+    type: Schema.Types.ObjectId,
+    ref: 'LetterTemplate'
+  },
+  templateName: String,
+  files: {
+    docx: fileSchema,
+    pdf: fileSchema
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'distributed'],
+    default: 'draft'
+  },
+  issuedAt: Date,
+  distributedAt: Date,
+  issuedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+},
+  { timestamps: true }
+);
+
+FormationLetterSchema.index({ committee: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('FormationLetter', FormationLetterSchema);
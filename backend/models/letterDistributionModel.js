@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Delivery of one formation letter version to one committee member
+const LetterDistributionSchema = new Schema({
+  letter: {
+    type: Schema.Types.ObjectId,
+    ref: 'FormationLetter',
+    required: true
+  },
+  committee: {
+    type: Schema.Types.ObjectId,
+    ref: 'Committee',
+    required: true
+  },
+  member: {
+    employeeId: {
+      type: String,
+      required: true
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  deliveryStatus: {
+    type: String,
+    enum: ['sent', 'queued', 'failed'],
+    default: 'sent'
+  },
+  deliveryError: String,
+  sentDate: Date,
+  acknowledgmentDate: Date,
+  acknowledgmentIp: String,
+  remindersSent: {
+    type: Number,
+    default: 0
+  },
+  lastReminderAt: Date,
+  distributedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+},
+  { timestamps: true }
+);
+
+LetterDistributionSchema.index({ letter: 1, 'member.employeeId': 1 }, { unique: true });
+
+module.exports = mongoose.model('LetterDistribution', LetterDistributionSchema);
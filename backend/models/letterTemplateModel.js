@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Values a formation letter template can refer to as {{placeholder}}
+const PLACEHOLDERS = [
+  'referenceNumber',
+  'issueDate',
+  'committeeName',
+  'purpose',
+  'formationDate',
+  'specificationSubmissionDate',
+  'reviewDate',
+  'schedule',
+  'members',
+  'department',
+  'issuingOfficer',
+  'issuingOfficerDesignation'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const LetterTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    unique: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please provide a letter subject'],
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please provide the letter body'],
+    validate: {
+      validator: (body) =>
+        [...body.matchAll(PLACEHOLDER_PATTERN)].every(([, key]) => PLACEHOLDERS.includes(key)),
+      message: `Unknown placeholder in template. Allowed placeholders: ${PLACEHOLDERS.join(', ')}`
+    }
+  },
+  // The template used when a letter is generated without choosing one
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+},
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('LetterTemplate', LetterTemplateSchema);
+module.exports.PLACEHOLDERS = PLACEHOLDERS;
+module.exports.PLACEHOLDER_PATTERN = PLACEHOLDER_PATTERN;
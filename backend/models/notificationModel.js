@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NOTIFICATION_TYPES = ['status_change', 'deadline', 'email', 'committee'];
+
+// One entry in a user's in-app inbox
+const NotificationSchema = new Schema({
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  deadline: Date,
+  // Hours before the deadline to remind
+  reminderTime: Number,
+  reminderPreferences: {
+    email: Boolean,
+    inApp: Boolean,
+    customTime: Number
+  },
+  committeeInfo: {
+    committeeId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Committee'
+    },
+    formationDate: Date,
+    submissionDate: Date,
+    role: {
+      type: String,
+      enum: ['member', 'chairperson', 'secretary']
+    },
+    taskId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Task'
+    }
+  },
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender'
+  }
+},
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+NotificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+
+// The frontend Notification type calls the creation time `timestamp`
+NotificationSchema.virtual('timestamp').get(function () {
+  return this.createdAt;
+});
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// How long a sent message is kept as a delivery record
+const SENT_RETENTION_DAYS = 30;
+
+// A rendered notification waiting for (or done with) delivery. Failed sends
+// stay queued and are retried with backoff by the outbound-messages job.
+const OutboundMessageSchema = new Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: [String],
+    required: true
+  },
+  subject: String,
+  html: String,
+  text: String,
+  attachments: [{
+    _id: false,
+    filename: String,
+    path: String
+  }],
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed', 'expired'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages that are useless after a point, such as OTPs, are not retried past it
+  expiresAt: Date,
+  lastError: String,
+  sentAt: Date
+},
+  { timestamps: true }
+);
+
+OutboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+// Bodies can hold OTPs and reset links, so messages are not kept for long:
+// expiring ones go once they expire, the rest some time after delivery
+OutboundMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+OutboundMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboundMessage', OutboundMessageSchema);
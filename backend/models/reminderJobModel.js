@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const REMINDER_KINDS = [
+  'committee_submission',
+  'committee_review',
+  'task_due',
+  'tender_opening',
+  'tender_clarification'
+];
+
+// A deadline reminder for one user, persisted so it survives restarts
+const ReminderJobSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: REMINDER_KINDS,
+    required: true
+  },
+  // The committee, task or tender the deadline belongs to
+  sourceId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  title: String,
+  deadline: {
+    type: Date,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'running', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  channels: {
+    email: Boolean,
+    inApp: Boolean
+  },
+  lastError: String,
+  sentAt: Date
+},
+  { timestamps: true }
+);
+
+ReminderJobSchema.index({ user: 1, kind: 1, sourceId: 1, deadline: 1 }, { unique: true });
+ReminderJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('ReminderJob', ReminderJobSchema);
+module.exports.REMINDER_KINDS = REMINDER_KINDS;
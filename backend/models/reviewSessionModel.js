@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ReviewSessionSchema = new Schema({
+  specification: {
+    type: Schema.Types.ObjectId,
+    ref: 'Specification',
+    required: true
+  },
+  committee: {
+    type: Schema.Types.ObjectId,
+    ref: 'Committee',
+    required: true
+  },
+  // Specification version under review
+  documentVersion: Number,
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  actualDate: Date,
+  status: {
+    type: String,
+    enum: ['scheduled', 'in_progress', 'completed', 'rescheduled'],
+    default: 'scheduled'
+  },
+  reviewers: [{
+    employeeId: String,
+    name: String,
+    role: String
+  }],
+  minutes: String,
+  minutesApproval: {
+    approvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date
+  },
+  comments: [String],
+  documents: [{
+    filename: String,
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number,
+    type: {
+      type: String,
+      enum: ['review_minutes', 'supporting_document', 'final_approval'],
+      default: 'supporting_document'
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  decision: {
+    outcome: {
+      type: String,
+      enum: ['approved', 'rejected', 'revision_required']
+    },
+    notes: String,
+    decidedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  },
+  nextReviewDate: Date,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+},
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ReviewSession', ReviewSessionSchema);
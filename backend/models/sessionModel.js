@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// How many rotated refresh tokens are remembered for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+// One signed-in device. The refresh token rotates on every use; the session
+// is the token family, so revoking it ends every token it ever issued.
+const SessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // sha256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_changed', 'reuse_detected']
+  }
+},
+  { timestamps: true }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB; revoked ones stay until then as a record
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
+module.exports.MAX_PREVIOUS_TOKENS = MAX_PREVIOUS_TOKENS;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError.js');
+const Schema = mongoose.Schema;
+
+const SpecificationSchema = new Schema({
+  committee: {
+    type: Schema.Types.ObjectId,
+    ref: 'Committee',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a specification title'],
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'under_review', 'revision_required', 'approved', 'rejected'],
+    default: 'draft'
+  },
+  // Submissions close at this time; a revision decision reopens them
+  submissionDeadline: Date,
+  versions: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    filename: String,
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number,
+    changeNote: {
+      type: String,
+      required: true
+    },
+    extractedText: {
+      type: String,
+      select: false
+    },
+    submittedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+},
+  { timestamps: true }
+);
+
+SpecificationSchema.virtual('currentVersion').get(function () {
+  return this.versions.length;
+});
+
+// Versions are append-only: earlier entries can never be edited or removed
+const snapshotVersion = (version) => JSON.stringify(version.toObject());
+
+SpecificationSchema.post('init', function () {
+  this.$locals.savedVersions = this.versions.map(snapshotVersion);
+});
+
+SpecificationSchema.pre('save', function (next) {
+  const saved = this.$locals.savedVersions || [];
+  const tampered =
+    this.versions.length < saved.length ||
+    saved.some((snapshot, index) => snapshotVersion(this.versions[index]) !== snapshot);
+
+  if (tampered) {
+    return next(new AppError('Specification versions cannot be modified', 409));
+  }
+  next();
+});
+
+SpecificationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Specification', SpecificationSchema);
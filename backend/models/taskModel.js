@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TaskSchema = new Schema({
+  committee: {
+    type: Schema.Types.ObjectId,
+    ref: 'Committee',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a task title'],
+    trim: true
+  },
+  description: String,
+  assignedTo: {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    employeeId: String,
+    name: String,
+    email: String
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please provide a due date']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in_progress', 'completed', 'overdue'],
+    default: 'pending'
+  },
+  attachments: [{
+    filename: String,
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number,
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  comments: [{
+    text: {
+      type: String,
+      required: true
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  completedAt: Date,
+  overdueNotifiedAt: Date,
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+},
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Task', TaskSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One evaluator's score for one vendor against one technical criterion
+const TechnicalScoreSchema = new Schema({
+  tender: {
+    type: Schema.Types.ObjectId,
+    ref: 'Tender',
+    required: true
+  },
+  vendor: {
+    type: Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: true
+  },
+  evaluator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  criteria: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  comments: String
+},
+  { timestamps: true }
+);
+
+TechnicalScoreSchema.index({ tender: 1, vendor: 1, evaluator: 1, criteria: 1 }, { unique: true });
+
+module.exports = mongoose.model('TechnicalScore', TechnicalScoreSchema);
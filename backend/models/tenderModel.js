@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TenderSchema = new Schema({
+  ifbNumber: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a tender title'],
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  publishDate: {
+    type: Date
+  },
+  openingDate: {
+    type: Date,
+    required: [true, 'Please provide an opening date']
+  },
+  // Last day bidders can ask for clarifications
+  clarificationDeadline: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || !this.openingDate || value < this.openingDate;
+      },
+      message: 'Clarification deadline must be before the opening date'
+    }
+  },
+  bidValidity: {
+    type: Date
+  },
+  bidSecurityAmount: {
+    type: Number,
+    min: 0
+  },
+  // Prints per evaluator of each decrypted bid document; unset means unlimited
+  bidPrintLimit: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'closed', 'awarded'],
+    default: 'draft'
+  },
+  approvalStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  comments: [{
+    text: {
+      type: String,
+      required: true
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  documents: [{
+    filename: String,
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number
+  }],
+  evaluationTeam: [{
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['chair', 'member', 'secretary'],
+      default: 'member'
+    },
+    hasAccess: {
+      type: Boolean,
+      default: true
+    },
+    accessRevokedAt: Date,
+    accessRevokedReason: String
+  }],
+  technicalCriteria: [{
+    name: {
+      type: String,
+      required: true
+    },
+    description: String,
+    maxScore: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    weight: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  technicalPassMark: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 70
+  },
+  // Set once technical scores are finalized; scoring is closed from then on
+  technicalFinalizedAt: Date,
+  technicalFinalizedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The chair's reasons for finalizing despite flagged evaluator disagreement
+  technicalDisagreementNote: String,
+  suspension: {
+    active: {
+      type: Boolean,
+      default: false
+    },
+    complaint: {
+      type: Schema.Types.ObjectId,
+      ref: 'Complaint'
+    },
+    since: Date
+  },
+  awardedTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  awardedAt: Date,
+  bidsOpenedAt: Date,
+  bidsOpenedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [{
+    field: {
+      type: String,
+      enum: ['status', 'approvalStatus', 'suspension']
+    },
+    from: String,
+    to: String,
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+},
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+module.exports = mongoose.model('Tender', TenderSchema);
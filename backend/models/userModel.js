@@ -60,6 +60,23 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Default reminder settings for the user's notifications
+  reminderPreferences: {
+    email: {
+      type: Boolean,
+      default: true,
+    },
+    inApp: {
+      type: Boolean,
+      default: true,
+    },
+    // Hours before a deadline to send reminders
+    customTime: {
+      type: Number,
+      min: 0,
+      default: 24,
+    },
+  },
   otpCode: {
     type: String,
     select: false,
@@ -142,7 +159,7 @@ userSchema.methods.createOTP = function () {
 
 // Method to verify OTP
 userSchema.methods.verifyOTP = function (candidateOTP) {
-  if (!this.otpCode || !this.otpExpires) return false;
+  if (!this.otpCode || !this.otpExpires || typeof candidateOTP !== 'string') return false;
   const hashedOTP = crypto.createHash('sha256').update(candidateOTP).digest('hex');
   return hashedOTP === this.otpCode && this.otpExpires > Date.now();
 };
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const Schema = mongoose.Schema;
+
+const VendorSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  companyName: {
+    type: String,
+    required: [true, 'Please provide the company name'],
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    required: [true, 'Please provide the registration number'],
+    unique: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide the company email'],
+    lowercase: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  phone: {
+    type: String,
+    required: [true, 'Please provide the company phone number']
+  },
+  address: {
+    type: String
+  },
+  category: {
+    type: [String],
+    default: []
+  },
+  documents: [{
+    filename: String,
+    path: String,
+    originalname: String,
+    mimetype: String,
+    size: Number,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  qualifications: [{
+    criteria: {
+      type: String,
+      required: true
+    },
+    minimumRequirement: String,
+    weight: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  }],
+  qualificationScore: {
+    type: Number,
+    default: 0
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+},
+  { timestamps: true }
+);
+
+// Weighted average of the criteria scores, on a 0-100 scale
+VendorSchema.methods.calculateQualificationScore = function () {
+  const totalWeight = this.qualifications.reduce((sum, q) => sum + q.weight, 0);
+  if (totalWeight === 0) return 0;
+
+  const weighted = this.qualifications.reduce((sum, q) => sum + q.score * q.weight, 0);
+  return Math.round((weighted / totalWeight) * 100) / 100;
+};
+
+// Keep qualificationScore in sync with the criteria
+VendorSchema.pre('save', function (next) {
+  if (!this.isModified('qualifications')) return next();
+
+  this.qualificationScore = this.calculateQualificationScore();
+  next();
+});
+
+module.exports = mongoose.model('Vendor', VendorSchema);
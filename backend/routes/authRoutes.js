@@ -41,6 +41,9 @@ router.post(
   authController.verifyOTP
 );
 
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.optionalProtect, authController.logout);
+
 router.get('/users', authController.getAllUsers);
 router.post('/forgot-password', authController.forgotPassword);
 router.patch('/reset-password/:token', authController.resetPassword);
@@ -84,4 +87,10 @@ router
 
 router.patch('/update-password', authController.updatePassword);
 
+router
+  .route('/sessions')
+  .get(authController.getMySessions)
+  .delete(authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', authController.revokeSession);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const bidOpeningController = require('../controllers/bidOpeningController.js');
+
+// Mounted under /api/v1/tenders/:tenderId/bid-opening, behind authController.protect
+const router = express.Router({ mergeParams: true });
+
+router.get('/', bidOpeningController.getOpening);
+router.post('/otp', bidOpeningController.requestOtp);
+router.post('/approve', bidOpeningController.approveOpening);
+router.get('/minutes', bidOpeningController.downloadMinutes);
+
+module.exports = router;
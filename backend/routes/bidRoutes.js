@@ -0,0 +1,28 @@
+const express = require('express');
+const { createMemoryUpload } = require('../config/multer.js');
+const authController = require('../controllers/authController.js');
+const bidController = require('../controllers/bidController.js');
+
+// Mounted under /api/v1/tenders/:tenderId/bids, behind authController.protect
+const router = express.Router({ mergeParams: true });
+// Bid files stay in memory until they are encrypted
+const upload = createMemoryUpload();
+
+router
+  .route('/')
+  .get(bidController.getBids)
+  .post(
+    authController.restrictTo('bidder'),
+    upload.array('financialDocuments', 10),
+    bidController.submitBid
+  );
+
+router.get('/mine', authController.restrictTo('bidder'), bidController.getMyBid);
+
+router.get('/:bidId', bidController.getBid);
+router.get('/:bidId/documents/:docId', bidController.downloadBidDocument);
+router.get('/:bidId/documents/:docId/view', bidController.viewBidDocument);
+router.get('/:bidId/documents/:docId/print', bidController.printBidDocument);
+router.get('/:bidId/documents/:docId/access-log', bidController.getBidDocumentAccessLog);
+
+module.exports = router;
@@ -3,13 +3,17 @@ const router = express.Router();
 const upload = require('../config/multer.js');
 const authController = require('../controllers/authController.js');
 const permissionMiddleware = require('../middleware/permisssionMiddleware.js');
+const taskRoutes = require('./taskRoutes.js');
+const committeeApprovalController = require('../controllers/committeeApprovalController.js');
+const formationLetterController = require('../controllers/formationLetterController.js');
 const {
   createCommittee,
   getCommittees,
   getCommittee,
   updateCommittee,
   deleteCommittee,
-  downloadFormationLetter
+  downloadFormationLetter,
+  uploadFormationLetter
 } = require('../controllers/committeeController.js');
 
 // Protect all committee routes
@@ -52,4 +56,60 @@ router.delete(
 // GET /api/committees/:id/download - Download formation letter
 router.get('/:id/download', downloadFormationLetter);
 
+// PUT /api/committees/:id/formation-letter - Upload formation letter
+// Only the committee secretary
+router.put(
+  '/:id/formation-letter',
+  permissionMiddleware.checkCommitteeRole('secretary'),
+  upload.single('formationLetter'),
+  uploadFormationLetter
+);
+
+// POST /api/committees/:id/formation-letter/generate - Generate from the letter template
+// Only the committee secretary
+router.post(
+  '/:id/formation-letter/generate',
+  permissionMiddleware.checkCommitteeRole('secretary'),
+  formationLetterController.generateLetter
+);
+
+// GET /api/committees/:id/letters - Generated formation letter versions
+router.get('/:id/letters', formationLetterController.getLetters);
+router.get('/:id/letters/:version/download', formationLetterController.downloadLetter);
+router.get('/:id/letters/:version/acknowledgments', formationLetterController.getAcknowledgments);
+
+// POST /api/committees/:id/letters/:version/issue|distribute - Only the committee secretary
+router.post(
+  '/:id/letters/:version/issue',
+  permissionMiddleware.checkCommitteeRole('secretary'),
+  formationLetterController.issueLetter
+);
+router.post(
+  '/:id/letters/:version/distribute',
+  permissionMiddleware.checkCommitteeRole('secretary'),
+  formationLetterController.distributeLetter
+);
+
+// POST /api/committees/:id/submit - Submit committee for approval
+router.post('/:id/submit', committeeApprovalController.submitCommittee);
+
+// POST /api/committees/:id/approve|reject - Department approver or admin
+// A rejection needs a reason
+router.post('/:id/approve', committeeApprovalController.decideCommittee('approved'));
+router.post('/:id/reject', committeeApprovalController.decideCommittee('rejected'));
+
+// POST /api/committees/:id/amendments - Change membership or dates of an approved committee
+router.post('/:id/amendments', committeeApprovalController.requestAmendment);
+router.post(
+  '/:id/amendments/:amendmentId/approve',
+  committeeApprovalController.decideAmendment('approved')
+);
+router.post(
+  '/:id/amendments/:amendmentId/reject',
+  committeeApprovalController.decideAmendment('rejected')
+);
+
+// /api/committees/:committeeId/tasks - Committee tasks
+router.use('/:committeeId/tasks', taskRoutes);
+
 module.exports = router;
\ No newline at end of file
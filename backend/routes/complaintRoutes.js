@@ -0,0 +1,39 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const authController = require('../controllers/authController.js');
+const complaintController = require('../controllers/complaintController.js');
+
+const router = express.Router();
+const upload = createUpload('complaints');
+
+// Protect all complaint routes
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(complaintController.getComplaints)
+  .post(upload.array('documents', 10), complaintController.registerComplaint);
+
+router.get('/:id', complaintController.getComplaint);
+router.post('/:id/documents', upload.array('documents', 10), complaintController.attachDocuments);
+router.get('/:id/files/:fileId', complaintController.downloadFile);
+router.get('/:id/files/:fileId/access-log', complaintController.getFileAccessLog);
+
+router.post(
+  '/:id/responses',
+  authController.restrictTo('admin', 'complaint_manager'),
+  upload.array('attachments', 10),
+  complaintController.respondToComplaint
+);
+router.patch(
+  '/:id/status',
+  authController.restrictTo('admin', 'complaint_manager'),
+  complaintController.updateStatus
+);
+router.patch(
+  '/:id/priority',
+  authController.restrictTo('admin', 'complaint_manager'),
+  complaintController.updatePriority
+);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const declarationController = require('../controllers/declarationController.js');
+
+// Mounted under /api/v1/tenders/:tenderId/declarations, behind authController.protect
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(declarationController.getDeclarations)
+  .post(declarationController.signDeclaration);
+router.get('/form', declarationController.getDeclarationForm);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const authController = require('../controllers/authController.js');
+const departmentApproverController = require('../controllers/departmentApproverController.js');
+
+const router = express.Router();
+
+router.use(authController.protect, authController.restrictTo('admin'));
+
+router.get('/', departmentApproverController.getApprovers);
+
+router
+  .route('/:department')
+  .put(departmentApproverController.setApprover)
+  .delete(departmentApproverController.removeApprover);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const authController = require('../controllers/authController.js');
+const documentController = require('../controllers/documentController.js');
+
+const router = express.Router();
+const upload = createUpload('documents');
+
+// Protect all document routes
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(documentController.getDocuments)
+  .post(upload.single('file'), documentController.uploadDocument);
+
+router.get(
+  '/trace/:traceId',
+  authController.restrictTo('admin'),
+  documentController.traceAccess
+);
+
+router
+  .route('/:id')
+  .get(documentController.getDocument)
+  .patch(documentController.updateDocument)
+  .delete(documentController.deleteDocument);
+
+router.get('/:id/view', documentController.viewDocument);
+router.get('/:id/download', documentController.downloadDocument);
+router.get('/:id/print', documentController.printDocument);
+router.get('/:id/access-log', documentController.getAccessLog);
+
+router.post('/:id/grants', documentController.grantAccess);
+router.delete('/:id/grants/:userId', documentController.revokeAccess);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const authController = require('../controllers/authController.js');
+const evaluationController = require('../controllers/evaluationController.js');
+
+// Mounted under /api/v1/tenders/:tenderId/evaluation, behind authController.protect
+const router = express.Router({ mergeParams: true });
+
+router.put(
+  '/criteria',
+  authController.restrictTo('admin', 'procurement_officer'),
+  evaluationController.setCriteria
+);
+
+router.post('/scores', evaluationController.submitScores);
+router.get('/scores/mine', evaluationController.getMyScores);
+
+router.get('/technical', evaluationController.getTechnicalSummary);
+router.post('/technical/finalize', evaluationController.finalizeTechnical);
+
+router
+  .route('/ranking')
+  .get(evaluationController.getRanking)
+  .post(evaluationController.computeRanking);
+router.post(
+  '/ranking/lock',
+  authController.restrictTo('admin'),
+  evaluationController.lockRanking
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const authController = require('../controllers/authController.js');
+const eventStreamController = require('../controllers/eventStreamController.js');
+
+const router = express.Router();
+
+router.get('/', authController.protect, eventStreamController.streamEvents);
+
+module.exports = router;
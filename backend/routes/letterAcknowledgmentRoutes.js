@@ -0,0 +1,13 @@
+const express = require('express');
+const formationLetterController = require('../controllers/formationLetterController.js');
+
+// Public: members acknowledge from the signed link in their email, without logging in.
+// The link opens a confirmation page; only its form's POST records the acknowledgment.
+const router = express.Router();
+
+router
+  .route('/:token')
+  .get(formationLetterController.showAcknowledgment)
+  .post(formationLetterController.acknowledgeLetter);
+
+module.exports = router;
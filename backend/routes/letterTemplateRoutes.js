@@ -0,0 +1,20 @@
+const express = require('express');
+const authController = require('../controllers/authController.js');
+const letterTemplateController = require('../controllers/letterTemplateController.js');
+
+const router = express.Router();
+
+router.use(authController.protect, authController.restrictTo('admin'));
+
+router
+  .route('/')
+  .get(letterTemplateController.getTemplates)
+  .post(letterTemplateController.createTemplate);
+
+router
+  .route('/:id')
+  .get(letterTemplateController.getTemplate)
+  .patch(letterTemplateController.updateTemplate)
+  .delete(letterTemplateController.deleteTemplate);
+
+module.exports = router;
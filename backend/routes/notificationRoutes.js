@@ -0,0 +1,22 @@
+const express = require('express');
+const authController = require('../controllers/authController.js');
+const notificationController = require('../controllers/notificationController.js');
+
+const router = express.Router();
+
+router.use(authController.protect);
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.patch('/read-all', notificationController.markAllAsRead);
+
+router
+  .route('/preferences')
+  .get(notificationController.getPreferences)
+  .put(notificationController.updatePreferences);
+
+router.delete('/:id', notificationController.deleteNotification);
+router.patch('/:id/read', notificationController.markAsRead);
+router.patch('/:id/reminder-preferences', notificationController.updateNotificationPreferences);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const reviewSessionController = require('../controllers/reviewSessionController.js');
+const permissionMiddleware = require('../middleware/permisssionMiddleware.js');
+const Specification = require('../models/specificationModel.js');
+
+// Mounted under /api/v1/specifications/:specificationId/reviews, behind authController.protect
+const router = express.Router({ mergeParams: true });
+const upload = createUpload('reviews');
+
+const specificationCommittee = async (req) => {
+  const specification = await Specification.findById(req.params.specificationId).select('committee');
+  return specification && specification.committee;
+};
+
+router
+  .route('/')
+  .get(reviewSessionController.getReviews)
+  .post(reviewSessionController.scheduleReview);
+
+router.get('/:sessionId', reviewSessionController.getReview);
+router.patch('/:sessionId/reschedule', reviewSessionController.rescheduleReview);
+router.patch(
+  '/:sessionId/minutes',
+  upload.array('documents', 10),
+  reviewSessionController.recordMinutes
+);
+router.post(
+  '/:sessionId/minutes/approve',
+  permissionMiddleware.checkCommitteeRole('chairperson', specificationCommittee),
+  reviewSessionController.approveMinutes
+);
+router.post(
+  '/:sessionId/documents',
+  upload.array('documents', 10),
+  reviewSessionController.uploadDocuments
+);
+router.get('/:sessionId/documents/:docId', reviewSessionController.downloadDocument);
+router.post(
+  '/:sessionId/decision',
+  permissionMiddleware.checkCommitteeRole('chairperson', specificationCommittee),
+  reviewSessionController.recordDecision
+);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const authController = require('../controllers/authController.js');
+const specificationController = require('../controllers/specificationController.js');
+const reviewSessionRoutes = require('./reviewSessionRoutes.js');
+
+const router = express.Router();
+const upload = createUpload('specifications');
+
+// Protect all specification routes
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(specificationController.getSpecifications)
+  .post(upload.single('document'), specificationController.createSpecification);
+
+router.get('/:id', specificationController.getSpecification);
+router.get('/:id/compare', specificationController.compareVersions);
+router.post('/:id/versions', upload.single('document'), specificationController.uploadVersion);
+router.get('/:id/versions/:version/download', specificationController.downloadVersion);
+
+router.use('/:specificationId/reviews', reviewSessionRoutes);
+
+module.exports = router;
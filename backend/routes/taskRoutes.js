@@ -0,0 +1,31 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const taskController = require('../controllers/taskController.js');
+const permissionMiddleware = require('../middleware/permisssionMiddleware.js');
+
+// Mounted under /api/v1/committees/:committeeId/tasks, behind authController.protect
+const router = express.Router({ mergeParams: true });
+const upload = createUpload('tasks');
+
+router
+  .route('/')
+  .get(taskController.getTasks)
+  .post(permissionMiddleware.checkCommitteeRole('chairperson'), taskController.createTask);
+
+router
+  .route('/:taskId')
+  .get(taskController.getTask)
+  .patch(taskController.updateTask)
+  .delete(permissionMiddleware.checkCommitteeRole('chairperson'), taskController.deleteTask);
+
+router.patch(
+  '/:taskId/assign',
+  permissionMiddleware.checkCommitteeRole('chairperson'),
+  taskController.assignTask
+);
+router.post('/:taskId/attachments', upload.array('attachments', 10), taskController.addAttachments);
+router.get('/:taskId/attachments/:attachmentId', taskController.downloadAttachment);
+router.get('/:taskId/attachments/:attachmentId/access-log', taskController.getAttachmentAccessLog);
+router.post('/:taskId/comments', taskController.addComment);
+
+module.exports = router;
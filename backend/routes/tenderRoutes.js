@@ -0,0 +1,92 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const authController = require('../controllers/authController.js');
+const tenderController = require('../controllers/tenderController.js');
+const bidRoutes = require('./bidRoutes.js');
+const bidOpeningRoutes = require('./bidOpeningRoutes.js');
+const evaluationRoutes = require('./evaluationRoutes.js');
+const declarationRoutes = require('./declarationRoutes.js');
+
+const router = express.Router();
+const upload = createUpload('tenders');
+
+// Protect all tender routes
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(tenderController.getTenders)
+  .post(
+    authController.restrictTo('admin', 'procurement_officer'),
+    upload.array('documents', 10),
+    tenderController.createTender
+  );
+
+router.get('/ifb-number/next', tenderController.previewIfbNumber);
+router.post(
+  '/ifb-number/reserve',
+  authController.restrictTo('admin', 'procurement_officer'),
+  tenderController.reserveIfbNumber
+);
+
+router
+  .route('/:id')
+  .get(tenderController.getTender)
+  .patch(
+    authController.restrictTo('admin', 'procurement_officer'),
+    upload.array('documents', 10),
+    tenderController.updateTender
+  )
+  .delete(
+    authController.restrictTo('admin', 'procurement_officer'),
+    tenderController.deleteTender
+  );
+
+router.post('/:id/comments', tenderController.addComment);
+router.get('/:id/documents/:docId', tenderController.downloadDocument);
+router.get('/:id/documents/:docId/access-log', tenderController.getDocumentAccessLog);
+
+router.put(
+  '/:id/evaluation-team',
+  authController.restrictTo('admin', 'procurement_officer'),
+  tenderController.setEvaluationTeam
+);
+
+router.use('/:tenderId/bids', bidRoutes);
+router.use('/:tenderId/bid-opening', bidOpeningRoutes);
+router.use('/:tenderId/evaluation', evaluationRoutes);
+router.use('/:tenderId/declarations', declarationRoutes);
+
+// Lifecycle actions
+router.post(
+  '/:id/approve',
+  authController.restrictTo('admin'),
+  tenderController.transitionTender('approve')
+);
+router.post(
+  '/:id/reject',
+  authController.restrictTo('admin'),
+  tenderController.transitionTender('reject')
+);
+router.post(
+  '/:id/resubmit',
+  authController.restrictTo('admin', 'procurement_officer'),
+  tenderController.transitionTender('resubmit')
+);
+router.post(
+  '/:id/publish',
+  authController.restrictTo('admin', 'procurement_officer'),
+  tenderController.transitionTender('publish')
+);
+router.post(
+  '/:id/close',
+  authController.restrictTo('admin', 'procurement_officer'),
+  tenderController.transitionTender('close')
+);
+router.post(
+  '/:id/award',
+  authController.restrictTo('admin'),
+  tenderController.transitionTender('award')
+);
+
+module.exports = router;
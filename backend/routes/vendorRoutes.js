@@ -0,0 +1,46 @@
+const express = require('express');
+const { createUpload } = require('../config/multer.js');
+const authController = require('../controllers/authController.js');
+const vendorController = require('../controllers/vendorController.js');
+
+const router = express.Router();
+const upload = createUpload('vendors');
+
+// Protect all vendor routes
+router.use(authController.protect);
+
+router.post(
+  '/register',
+  authController.restrictTo('bidder'),
+  upload.array('documents', 10),
+  vendorController.registerVendor
+);
+router.get('/me', vendorController.getMyVendor);
+
+router.get(
+  '/',
+  authController.restrictTo('admin', 'procurement_officer'),
+  vendorController.getVendors
+);
+router.get('/:id', vendorController.getVendor);
+
+router.post('/:id/documents', upload.array('documents', 10), vendorController.uploadDocuments);
+router.get('/:id/documents/:docId', vendorController.downloadDocument);
+
+router.patch(
+  '/:id/qualification',
+  authController.restrictTo('admin', 'procurement_officer'),
+  vendorController.updateQualification
+);
+router.post(
+  '/:id/approve',
+  authController.restrictTo('admin', 'procurement_officer'),
+  vendorController.approveVendor
+);
+router.post(
+  '/:id/reject',
+  authController.restrictTo('admin', 'procurement_officer'),
+  vendorController.rejectVendor
+);
+
+module.exports = router;
@@ -6,12 +6,22 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
-const path = require('path');
 
 const AppError = require('./utils/appError');
 const globalErrorHandler = require('./controllers/errorController');
+const startJobs = require('./jobs');
 const authRoutes = require('./routes/authRoutes');
 const committeeRoutes = require('../backend/routes/committeRoutes'); // Added missing import
+const tenderRoutes = require('./routes/tenderRoutes');
+const vendorRoutes = require('./routes/vendorRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const complaintRoutes = require('./routes/complaintRoutes');
+const specificationRoutes = require('./routes/specificationRoutes');
+const departmentApproverRoutes = require('./routes/departmentApproverRoutes');
+const letterTemplateRoutes = require('./routes/letterTemplateRoutes');
+const letterAcknowledgmentRoutes = require('./routes/letterAcknowledgmentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const eventRoutes = require('./routes/eventRoutes');
 
 // Create Express app
 const app = express();
@@ -49,14 +59,21 @@ app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
 
-// Serving static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-
+// Uploaded files are only served through authenticated routes (see /api/v1/documents)
 
 // 2) ROUTES
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/committees', committeeRoutes);
+app.use('/api/v1/tenders', tenderRoutes);
+app.use('/api/v1/vendors', vendorRoutes);
+app.use('/api/v1/documents', documentRoutes);
+app.use('/api/v1/complaints', complaintRoutes);
+app.use('/api/v1/specifications', specificationRoutes);
+app.use('/api/v1/department-approvers', departmentApproverRoutes);
+app.use('/api/v1/letter-templates', letterTemplateRoutes);
+app.use('/api/v1/letter-acknowledgments', letterAcknowledgmentRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
+app.use('/api/v1/events', eventRoutes);
 // app.use('/api/v1/users', userRoutes);
 
 // Test route
@@ -89,6 +106,8 @@ mongoose.connect(process.env.MONGODB_URI, {
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
 
+  startJobs();
+
   // Handle unhandled promise rejections
   process.on('unhandledRejection', (err) => {
     console.log('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -0,0 +1,204 @@
+const BidOpening = require('../models/bidOpeningModel.js');
+const Bid = require('../models/bidModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+const sealedBids = require('./sealedBids.js');
+const conflictOfInterest = require('./conflictOfInterest.js');
+const tenderLifecycle = require('./tenderLifecycle.js');
+
+// Evaluation team roles that must each confirm before bids are opened
+const getQuorumRoles = () =>
+  (process.env.BID_OPENING_QUORUM || 'chair,secretary')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+const getTeamRole = (tender, user) => {
+  const member = tender.evaluationTeam.find(
+    (m) => m.user.toString() === user._id.toString()
+  );
+  return member ? member.role : null;
+};
+
+// Approving completes the opening and reveals every amount, so it needs the
+// same clean declaration as reading the bids
+const assertCanApprove = async (tender, user, opening) => {
+  if (!getTeamRole(tender, user)) {
+    throw new AppError('Only evaluation team members can approve the bid opening', 403);
+  }
+
+  if (opening && opening.status === 'completed') {
+    throw new AppError('Bids for this tender have already been opened', 409);
+  }
+
+  tenderLifecycle.assertNotSuspended(tender, 'open bids');
+
+  if (tender.openingDate > Date.now()) {
+    sealedBids.logger.warn('Early bid opening approval refused:', {
+      tenderId: tender._id,
+      userId: user._id,
+      openingDate: tender.openingDate,
+      timestamp: new Date().toISOString(),
+    });
+    throw new AppError('Bids cannot be opened before the opening date', 403);
+  }
+
+  await conflictOfInterest.assertDeclared(tender, user);
+};
+
+const findOrCreateOpening = async (tender) => {
+  const existing = await BidOpening.findOne({ tender: tender._id });
+  if (existing) return existing;
+
+  try {
+    return await BidOpening.create({ tender: tender._id });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return BidOpening.findOne({ tender: tender._id });
+  }
+};
+
+const isQuorumMet = (opening) =>
+  getQuorumRoles().every((role) => opening.approvals.some((a) => a.role === role));
+
+const getBidSecurityStatus = (bid, tender) => {
+  const security = bid.bidSecurity;
+  if (!security || !security.amount) return 'missing';
+  if (tender.bidSecurityAmount && security.amount < tender.bidSecurityAmount) return 'insufficient';
+  if (security.validUntil && security.validUntil < tender.openingDate) return 'expired';
+  return 'valid';
+};
+
+const completeOpening = async (opening, tender, user) => {
+  const bids = await Bid.find({ tender: tender._id })
+    .select('+sealedAmount')
+    .sort('submissionDate')
+    .populate('vendor', 'companyName registrationNumber');
+
+  opening.bidders = bids.map((bid) => ({
+    bid: bid._id,
+    vendor: bid.vendor._id,
+    companyName: bid.vendor.companyName,
+    registrationNumber: bid.vendor.registrationNumber,
+    bidAmount: sealedBids.revealAmount(bid),
+    submissionDate: bid.submissionDate,
+    bidSecurity: {
+      amount: bid.bidSecurity && bid.bidSecurity.amount,
+      reference: bid.bidSecurity && bid.bidSecurity.reference,
+      issuer: bid.bidSecurity && bid.bidSecurity.issuer,
+      validUntil: bid.bidSecurity && bid.bidSecurity.validUntil,
+      status: getBidSecurityStatus(bid, tender),
+    },
+  }));
+
+  // Open the tender before the record becomes immutable: if saving the record
+  // then fails, a retry finds the bids open and only has to write it
+  if (!tender.bidsOpenedAt) {
+    await sealedBids.openBids(tender, user);
+  }
+
+  opening.status = 'completed';
+  opening.completedAt = new Date();
+  await opening.save();
+  return opening;
+};
+
+/**
+ * Issue a one-time password the team member must echo back to approve
+ * the opening. Returns the user and the plain OTP for delivery.
+ */
+const requestApprovalOtp = async (tender, user) => {
+  const opening = await BidOpening.findOne({ tender: tender._id });
+  await assertCanApprove(tender, user, opening);
+
+  const member = await User.findById(user._id).select('+otpCode +otpExpires');
+  const otp = member.createOTP();
+  await member.save({ validateBeforeSave: false });
+
+  return { user: member, otp };
+};
+
+// Record an OTP-confirmed approval; completes the opening once quorum is met
+const approveOpening = async (tender, user, otp) => {
+  if (typeof otp === 'number') otp = String(otp);
+  if (!otp || typeof otp !== 'string') {
+    throw new AppError('Please provide the OTP', 400);
+  }
+
+  const opening = await findOrCreateOpening(tender);
+  await assertCanApprove(tender, user, opening);
+
+  const member = await User.findById(user._id).select('+otpCode +otpExpires');
+  if (!member.verifyOTP(otp)) {
+    throw new AppError('Invalid or expired OTP', 400);
+  }
+  member.otpCode = undefined;
+  member.otpExpires = undefined;
+  await member.save({ validateBeforeSave: false });
+
+  // Push the approval atomically so concurrent approvals by the chair and the
+  // secretary both land, then check quorum against the stored record
+  await BidOpening.updateOne(
+    { _id: opening._id, 'approvals.user': { $ne: user._id } },
+    { $push: { approvals: { user: user._id, role: getTeamRole(tender, user) } } }
+  );
+  const current = await BidOpening.findById(opening._id);
+
+  if (current.status === 'completed' || !isQuorumMet(current)) {
+    return current;
+  }
+
+  try {
+    return await completeOpening(current, tender, user);
+  } catch (err) {
+    // A concurrent approval reached quorum too and completed the opening first
+    const completed = await BidOpening.findOne({ _id: opening._id, status: 'completed' });
+    if (completed) return completed;
+    throw err;
+  }
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : '-');
+
+// Plain-text minutes of a completed bid opening
+const renderMinutes = (opening, tender) => {
+  const lines = [
+    'MINUTES OF BID OPENING',
+    '',
+    `Tender: ${tender.title}`,
+    `IFB Number: ${tender.ifbNumber || '-'}`,
+    `Opening Date: ${formatDate(tender.openingDate)}`,
+    `Opened At: ${formatDate(opening.completedAt)}`,
+    '',
+    'Bids Received:',
+  ];
+
+  if (opening.bidders.length === 0) {
+    lines.push('  No bids were received.');
+  }
+
+  opening.bidders.forEach((bidder, index) => {
+    lines.push(
+      `  ${index + 1}. ${bidder.companyName} (Reg. No. ${bidder.registrationNumber})`,
+      `     Bid Amount: ${bidder.bidAmount}`,
+      `     Submitted: ${formatDate(bidder.submissionDate)}`,
+      `     Bid Security: ${bidder.bidSecurity.status}` +
+        (bidder.bidSecurity.amount ? ` (${bidder.bidSecurity.amount}, ref. ${bidder.bidSecurity.reference || '-'})` : '')
+    );
+  });
+
+  lines.push('', 'Opening Approved By:');
+  opening.approvals.forEach((approval) => {
+    const name = approval.user.name || approval.user.toString();
+    lines.push(`  ${name} (${approval.role}) at ${formatDate(approval.approvedAt)}`);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  getQuorumRoles,
+  requestApprovalOtp,
+  approveOpening,
+  renderMinutes,
+};
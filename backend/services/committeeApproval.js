@@ -0,0 +1,165 @@
+const DepartmentApprover = require('../models/departmentApproverModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+
+// Fields frozen once a committee is submitted; after approval they change by amendment
+const FROZEN_FIELDS = ['members', 'formationDate', 'specificationSubmissionDate', 'reviewDate'];
+
+const getDepartment = async (committee) => {
+  if (committee.department) return committee.department;
+
+  const creator = await User.findById(committee.createdBy._id || committee.createdBy);
+  return creator ? creator.department : undefined;
+};
+
+// The configured approver for the committee's department, or null when none is set
+const resolveApprover = async (committee) => {
+  const department = await getDepartment(committee);
+  if (!department) return null;
+
+  const entry = await DepartmentApprover.findOne({ department });
+  return entry ? entry.approver : null;
+};
+
+// Admins can always decide; otherwise only the department's approver
+const assertCanApprove = async (committee, user) => {
+  if (user.role === 'admin') return;
+
+  const approver = await resolveApprover(committee);
+  if (!approver || approver.toString() !== user._id.toString()) {
+    throw new AppError('Only the approver for this department can approve or reject this committee', 403);
+  }
+};
+
+const isCreator = (committee, user) =>
+  (committee.createdBy._id || committee.createdBy).toString() === user._id.toString();
+
+// Nobody signs off on their own committee or amendment, admins included
+const assertNotSelfApproval = (user, ...authorIds) => {
+  if (authorIds.some((id) => id && (id._id || id).toString() === user._id.toString())) {
+    throw new AppError('You cannot approve or reject your own committee or amendment', 403);
+  }
+};
+
+const hasReason = (reason) => typeof reason === 'string' && reason.trim() !== '';
+
+const assertEditable = (committee, updates) => {
+  if (!['pending', 'approved'].includes(committee.approvalStatus)) return;
+
+  const frozen = FROZEN_FIELDS.filter((field) => updates[field] !== undefined);
+  if (frozen.length > 0) {
+    throw new AppError(
+      committee.approvalStatus === 'approved'
+        ? `Committee is approved; request an amendment to change ${frozen.join(', ')}`
+        : `Committee is awaiting approval; ${frozen.join(', ')} cannot be changed`,
+      409
+    );
+  }
+};
+
+const submit = (committee, user) => {
+  if (user.role !== 'admin' && !isCreator(committee, user)) {
+    throw new AppError('Only the committee creator can submit it for approval', 403);
+  }
+  if (!['draft', 'rejected'].includes(committee.approvalStatus)) {
+    throw new AppError(`Cannot submit a committee that is ${committee.approvalStatus}`, 409);
+  }
+  if (committee.members.length === 0) {
+    throw new AppError('Add committee members before submitting for approval', 400);
+  }
+  if (!committee.members.some((member) => member.role === 'chairperson')) {
+    throw new AppError('A committee needs a chairperson before it can be submitted', 400);
+  }
+
+  committee.approvalStatus = 'pending';
+  committee.approval = { submittedBy: user._id, submittedAt: new Date() };
+};
+
+const decide = async (committee, decision, user, reason) => {
+  await assertCanApprove(committee, user);
+  assertNotSelfApproval(user, committee.createdBy, committee.approval && committee.approval.submittedBy);
+  if (committee.approvalStatus !== 'pending') {
+    throw new AppError(`Cannot ${decision === 'approved' ? 'approve' : 'reject'} a committee that is ${committee.approvalStatus}`, 409);
+  }
+  if (decision === 'rejected' && !hasReason(reason)) {
+    throw new AppError('Please provide a reason for rejecting the committee', 400);
+  }
+
+  committee.approvalStatus = decision;
+  committee.approval.decidedBy = user._id;
+  committee.approval.decidedAt = new Date();
+  committee.approval.rejectionReason = decision === 'rejected' ? reason.trim() : undefined;
+};
+
+const requestAmendment = (committee, changes, reason, user) => {
+  if (user.role !== 'admin' && !isCreator(committee, user)) {
+    throw new AppError('Only the committee creator can request an amendment', 403);
+  }
+  if (committee.approvalStatus !== 'approved') {
+    throw new AppError('Only approved committees need amendments; edit the committee directly', 409);
+  }
+  if (committee.amendments.some((amendment) => amendment.status === 'pending')) {
+    throw new AppError('This committee already has an amendment awaiting approval', 409);
+  }
+  if (!hasReason(reason)) {
+    throw new AppError('Please provide a reason for the amendment', 400);
+  }
+  if (!FROZEN_FIELDS.some((field) => changes[field] !== undefined)) {
+    throw new AppError(`An amendment must change at least one of: ${FROZEN_FIELDS.join(', ')}`, 400);
+  }
+
+  if (changes.members && !changes.members.some((member) => member.role === 'chairperson')) {
+    throw new AppError('The amended membership needs a chairperson', 400);
+  }
+
+  committee.amendments.push({ changes, reason: reason.trim(), requestedBy: user._id });
+  return committee.amendments[committee.amendments.length - 1];
+};
+
+const decideAmendment = async (committee, amendmentId, decision, user, reason) => {
+  await assertCanApprove(committee, user);
+
+  const amendment = committee.amendments.id(amendmentId);
+  if (!amendment) {
+    throw new AppError('No amendment found with that ID', 404);
+  }
+  assertNotSelfApproval(user, committee.createdBy, amendment.requestedBy);
+  if (amendment.status !== 'pending') {
+    throw new AppError(`This amendment has already been ${amendment.status}`, 409);
+  }
+  if (decision === 'rejected' && !hasReason(reason)) {
+    throw new AppError('Please provide a reason for rejecting the amendment', 400);
+  }
+
+  amendment.status = decision;
+  amendment.decidedBy = user._id;
+  amendment.decidedAt = new Date();
+
+  if (decision === 'rejected') {
+    amendment.rejectionReason = reason.trim();
+    return amendment;
+  }
+
+  const { changes } = amendment;
+  if (changes.members && changes.members.length > 0) {
+    committee.members = changes.members.map((member) => {
+      const { _id, ...fields } = member.toObject();
+      return fields;
+    });
+  }
+  ['formationDate', 'specificationSubmissionDate', 'reviewDate'].forEach((field) => {
+    if (changes[field]) committee[field] = changes[field];
+  });
+
+  return amendment;
+};
+
+module.exports = {
+  FROZEN_FIELDS,
+  resolveApprover,
+  assertEditable,
+  submit,
+  decide,
+  requestAmendment,
+  decideAmendment,
+};
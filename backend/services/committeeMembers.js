@@ -0,0 +1,55 @@
+const User = require('../models/userModel.js');
+const { COMMITTEE_ROLES } = require('../models/committeFormModel.js');
+const AppError = require('../utils/appError.js');
+
+// Resolve member entries ("EMP001" or { employeeId, role }) against the user
+// directory, keeping the role each member holds on this committee
+const buildMembers = async (members) => {
+  const memberData = typeof members === 'string' ? JSON.parse(members) : members;
+
+  const entries = memberData.map((m) =>
+    typeof m === 'string'
+      ? { employeeId: m, role: 'member' }
+      : { employeeId: m.employeeId || '', role: m.role || 'member' }
+  );
+
+  if (!entries.every((entry) => typeof entry.employeeId === 'string' && entry.employeeId.trim() !== '')) {
+    throw new AppError('All member IDs must be non-empty strings', 400);
+  }
+
+  const invalidRole = entries.find((entry) => !COMMITTEE_ROLES.includes(entry.role));
+  if (invalidRole) {
+    throw new AppError(
+      `Invalid committee role '${invalidRole.role}'. Allowed roles: ${COMMITTEE_ROLES.join(', ')}`,
+      400
+    );
+  }
+
+  const duplicateRole = ['chairperson', 'secretary'].find(
+    (role) => entries.filter((entry) => entry.role === role).length > 1
+  );
+  if (duplicateRole) {
+    throw new AppError(`A committee can have only one ${duplicateRole}`, 400);
+  }
+
+  const membersArray = [];
+  for (const { employeeId, role } of entries) {
+    const user = await User.findOne({ employeeId });
+    if (!user) {
+      throw new AppError(`User with employee ID ${employeeId} not found`, 404);
+    }
+
+    membersArray.push({
+      name: user.name,
+      role,
+      email: user.email,
+      employeeId: user.employeeId,
+      department: user.department,
+      designation: user.designation
+    });
+  }
+
+  return membersArray;
+};
+
+module.exports = { buildMembers };
@@ -0,0 +1,75 @@
+const Complaint = require('../models/complaintModel.js');
+const User = require('../models/userModel.js');
+const createLogger = require('../utils/logger.js');
+const notifications = require('./notifications');
+
+const logger = createLogger('email');
+
+// Level 1 goes to complaint managers; higher levels also reach admins
+const getEscalationRecipients = async (level) => {
+  const roles = level > 1 ? ['complaint_manager', 'admin'] : ['complaint_manager'];
+  const users = await User.find({ role: { $in: roles }, isActive: true });
+  return users.map((user) => user.email);
+};
+
+const sendEscalation = async (complaint, level) => {
+  const recipients = await getEscalationRecipients(level);
+  if (recipients.length === 0) return;
+
+  try {
+    await notifications.send('complaint-escalation', {
+      to: recipients,
+      data: {
+        title: complaint.title,
+        priority: complaint.priority,
+        responseDueAt: complaint.responseDueAt,
+        level,
+      },
+    });
+    logger.info('Complaint escalation sent:', {
+      complaintId: complaint._id,
+      level,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Error sending complaint escalation:', {
+      complaintId: complaint._id,
+      level,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+/**
+ * Flag complaints whose first response is overdue and escalate one level
+ * for every further SLA period that passes without a response.
+ */
+const flagSlaBreaches = async () => {
+  const now = new Date();
+  const overdue = await Complaint.find({
+    status: { $in: ['pending', 'under_review'] },
+    firstRespondedAt: null,
+    responseDueAt: { $lt: now },
+  });
+
+  for (const complaint of overdue) {
+    const periodMs = Complaint.getSlaHours(complaint.priority) * 60 * 60 * 1000;
+    const level = Math.floor((now - complaint.responseDueAt) / periodMs) + 1;
+    if (level <= complaint.escalationLevel) continue;
+
+    if (!complaint.slaBreached) {
+      complaint.slaBreached = true;
+      complaint.slaBreachedAt = now;
+    }
+    complaint.escalationLevel = level;
+    complaint.escalatedAt = now;
+    await complaint.save();
+
+    await sendEscalation(complaint, level);
+  }
+
+  return overdue.length;
+};
+
+module.exports = { flagSlaBreaches };
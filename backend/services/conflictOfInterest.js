@@ -0,0 +1,129 @@
+const Bid = require('../models/bidModel.js');
+const ConflictDeclaration = require('../models/conflictDeclarationModel.js');
+const User = require('../models/userModel.js');
+const AppError = require('../utils/appError.js');
+const sealedBids = require('./sealedBids.js');
+const notifications = require('./notifications');
+
+// Vendors that have bid on the tender, which every declaration must cover
+const getBiddingVendors = async (tender) => {
+  const bids = await Bid.find({ tender: tender._id }).populate('vendor', 'companyName registrationNumber');
+  return bids.map((bid) => bid.vendor);
+};
+
+const findTeamMember = (tender, user) =>
+  tender.evaluationTeam.find((m) => m.user.toString() === user._id.toString());
+
+const notifyChair = async (tender, evaluator, declaration) => {
+  const chairIds = tender.evaluationTeam.filter((m) => m.role === 'chair').map((m) => m.user);
+  const chairs = await User.find({ _id: { $in: chairIds } });
+  if (chairs.length === 0) return;
+
+  const conflicts = declaration.vendors.filter((v) => v.hasConflict);
+  try {
+    await notifications.send('conflict-declared', {
+      to: chairs.map((chair) => chair.email),
+      data: {
+        evaluatorName: evaluator.name,
+        evaluatorEmployeeId: evaluator.employeeId,
+        tenderTitle: tender.title,
+        conflicts: conflicts.map((c) => ({ companyName: c.companyName, details: c.details })),
+      },
+    });
+    sealedBids.logger.info('Chair notified of conflict of interest:', {
+      tenderId: tender._id,
+      evaluatorId: evaluator._id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sealedBids.logger.error('Error notifying chair of conflict of interest:', {
+      tenderId: tender._id,
+      evaluatorId: evaluator._id,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+/**
+ * Record a signed declaration covering every bidding vendor. Declaring a
+ * conflict revokes the evaluator's access to the tender's bids.
+ */
+const signDeclaration = async (tender, user, { vendors, signature }, ipAddress) => {
+  sealedBids.assertCanViewBids(tender, user);
+
+  if (tender.openingDate > Date.now()) {
+    throw new AppError('Declarations can be signed once bid submission has closed', 409);
+  }
+
+  if (await ConflictDeclaration.exists({ tender: tender._id, evaluator: user._id })) {
+    throw new AppError('You have already signed a declaration for this tender', 409);
+  }
+
+  if (!Array.isArray(vendors)) {
+    throw new AppError('Please declare your interest in each bidding vendor', 400);
+  }
+
+  const biddingVendors = await getBiddingVendors(tender);
+  const answers = biddingVendors.map((vendor) => {
+    const answer = vendors.find((v) => v.vendorId === vendor._id.toString());
+    if (!answer || typeof answer.hasConflict !== 'boolean') {
+      throw new AppError(`Please declare your interest in ${vendor.companyName}`, 400);
+    }
+    return {
+      vendor: vendor._id,
+      companyName: vendor.companyName,
+      hasConflict: answer.hasConflict,
+      details: answer.details,
+    };
+  });
+
+  const declaration = await ConflictDeclaration.create({
+    tender: tender._id,
+    evaluator: user._id,
+    vendors: answers,
+    signature,
+    ipAddress,
+  });
+
+  if (declaration.hasConflict) {
+    const member = findTeamMember(tender, user);
+    if (member) {
+      member.hasAccess = false;
+      member.accessRevokedAt = new Date();
+      member.accessRevokedReason = 'Declared conflict of interest';
+      await tender.save();
+    }
+
+    sealedBids.logger.warn('Conflict of interest declared:', {
+      tenderId: tender._id,
+      evaluatorId: user._id,
+      timestamp: new Date().toISOString(),
+    });
+    await notifyChair(tender, user, declaration);
+  }
+
+  return declaration;
+};
+
+// Bid contents require a signed, conflict-free declaration
+const assertDeclared = async (tender, user) => {
+  const member = findTeamMember(tender, user);
+  if (member && !member.hasAccess) {
+    throw new AppError('Your access to this tender\'s bids has been revoked', 403);
+  }
+
+  const declaration = await ConflictDeclaration.findOne({ tender: tender._id, evaluator: user._id });
+  if (!declaration) {
+    throw new AppError('Please sign a conflict-of-interest declaration for this tender first', 403);
+  }
+  if (declaration.hasConflict) {
+    throw new AppError('You have declared a conflict of interest for this tender', 403);
+  }
+};
+
+module.exports = {
+  getBiddingVendors,
+  signDeclaration,
+  assertDeclared,
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Counter = require('../models/counterModel.js');
+const DocumentAccessLog = require('../models/documentAccessLogModel.js');
+const AppError = require('../utils/appError.js');
+const { watermarkPdf } = require('./watermark.js');
+
+const encodeRfc5987 = (value) =>
+  encodeURIComponent(value).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// ASCII fallback for old clients, the exact UTF-8 name for everyone else
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7E]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeRfc5987(filename)}`;
+};
+
+// `target` is { document } for vault files or { resource } for files held on other records
+const logAccess = (target, req, action, { traceId = crypto.randomUUID(), timestamp = new Date() } = {}) =>
+  DocumentAccessLog.create({
+    ...target,
+    user: req.user._id,
+    action,
+    traceId,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    timestamp,
+  });
+
+const targetFilter = (target) =>
+  target.document
+    ? { document: target.document }
+    : { 'resource.kind': target.resource.kind, 'resource.id': target.resource.id };
+
+const printCounterKey = (target, user) =>
+  `print:${target.document || `${target.resource.kind}:${target.resource.id}`}:${user._id}`;
+
+/**
+ * Take one print from the user's allowance with a conditional $inc, so two
+ * concurrent prints cannot both pass the last slot. The counter is seeded from
+ * the access log the first time, which covers prints made before it existed.
+ */
+const reservePrint = async (target, user, limit) => {
+  const key = printCounterKey(target, user);
+
+  if (!(await Counter.exists({ key }))) {
+    const printed = await DocumentAccessLog.countDocuments({
+      ...targetFilter(target),
+      user: user._id,
+      action: 'print',
+    });
+    try {
+      await Counter.create({ key, seq: printed });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { key, seq: { $lt: limit } },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  if (!counter) {
+    throw new AppError('You have reached the print limit for this document', 403);
+  }
+  return key;
+};
+
+/**
+ * Access history of a vault document or a file held on another record, newest
+ * first, in the entry shape AccessLogDialog expects.
+ */
+const getAccessHistory = async (target) => {
+  const logs = await DocumentAccessLog.find(targetFilter(target))
+    .sort('-timestamp')
+    .populate('user', 'name email employeeId');
+
+  return logs.map((log) => ({
+    timestamp: log.timestamp,
+    action: log.action,
+    traceId: log.traceId,
+    user: log.user,
+    ipAddress: log.ipAddress,
+  }));
+};
+
+// Hand back a reserved print when the copy could not be produced
+const releasePrint = (key) => Counter.updateOne({ key, seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+
+const streamFile = (res, filePath) =>
+  new Promise((resolve, reject) => {
+    res.sendFile(path.resolve(filePath), { dotfiles: 'allow' }, (err) => {
+      // Once headers are out the response is simply cut short
+      if (err && !res.headersSent) {
+        reject(err.code === 'ENOENT' ? new AppError('File not found on server', 404) : err);
+      } else {
+        resolve();
+      }
+    });
+  });
+
+const hasLimit = (limit) => limit !== undefined && limit !== null;
+
+/**
+ * Send a stored file, or contents already in memory, and record the access.
+ * With `watermark`, PDFs are stamped with the viewer and the log's trace ID.
+ * Prints count against `printLimit` only once the copy has been produced.
+ */
+const sendFile = async (req, res, {
+  target,
+  action = 'download',
+  filePath,
+  contents,
+  name,
+  mimetype,
+  watermark = false,
+  printLimit,
+}) => {
+  if (!contents && (!filePath || !fs.existsSync(filePath))) {
+    throw new AppError('File not found on server', 404);
+  }
+
+  const printKey = action === 'print' && hasLimit(printLimit)
+    ? await reservePrint(target, req.user, printLimit)
+    : null;
+  const traceId = crypto.randomUUID();
+  const timestamp = new Date();
+
+  let body = contents;
+  let log;
+  try {
+    if (watermark && mimetype === 'application/pdf') {
+      const watermarked = await watermarkPdf(contents || (await fs.promises.readFile(filePath)), {
+        name: req.user.name,
+        employeeId: req.user.employeeId,
+        timestamp,
+        traceId,
+      });
+      body = Buffer.from(watermarked);
+    }
+    log = await logAccess(target, req, action, { traceId, timestamp });
+  } catch (err) {
+    if (printKey) await releasePrint(printKey);
+    throw err;
+  }
+
+  res.set('Content-Disposition', contentDisposition(action === 'download' ? 'attachment' : 'inline', name));
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Trace-Id', log.traceId);
+  res.type(mimetype || name);
+
+  if (body) return res.send(body);
+  return streamFile(res, filePath);
+};
+
+module.exports = {
+  contentDisposition,
+  getAccessHistory,
+  logAccess,
+  sendFile,
+};
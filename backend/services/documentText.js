@@ -0,0 +1,26 @@
+const fs = require('fs');
+const mammoth = require('mammoth');
+// Require the library file directly: the package index runs a debug harness
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Extract plain text from a DOCX or PDF file so versions can be compared.
+ * Returns null for formats we cannot read (e.g. legacy .doc).
+ */
+const extractText = async (filePath, mimetype) => {
+  if (mimetype === DOCX_MIME || filePath.toLowerCase().endsWith('.docx')) {
+    const result = await mammoth.extractRawText({ path: filePath });
+    return result.value;
+  }
+
+  if (mimetype === 'application/pdf' || filePath.toLowerCase().endsWith('.pdf')) {
+    const result = await pdfParse(await fs.promises.readFile(filePath));
+    return result.text;
+  }
+
+  return null;
+};
+
+module.exports = { extractText };
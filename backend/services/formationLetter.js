@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const Counter = require('../models/counterModel.js');
+const FormationLetter = require('../models/formationLetterModel.js');
+const LetterTemplate = require('../models/letterTemplateModel.js');
+const { PLACEHOLDER_PATTERN } = require('../models/letterTemplateModel.js');
+const AppError = require('../utils/appError.js');
+const toWinAnsi = require('../utils/winAnsi.js');
+const { getFiscalYear, normalizeDepartment, formatIfbNumber } = require('./ifbNumber.js');
+
+const LETTERS_DIR = path.join(__dirname, '../uploads/letters');
+
+const DEFAULT_REFERENCE_PATTERN = '{DEPT}/COM/{FY}/{SEQ:000}';
+
+// Used until an admin activates a template of their own
+const DEFAULT_TEMPLATE = {
+  name: 'Default formation letter',
+  subject: 'Committee Formation Letter',
+  body: [
+    'Ref: {{referenceNumber}}',
+    'Date: {{issueDate}}',
+    '',
+    'Subject: Formation of {{committeeName}}',
+    '',
+    'This is to inform you that the {{committeeName}} has been formed for the following purpose: {{purpose}}.',
+    '',
+    'The committee is formed with effect from {{formationDate}}. Specifications are to be submitted by {{specificationSubmissionDate}} and will be reviewed on {{reviewDate}}.',
+    '',
+    'The committee consists of the following members:',
+    '{{members}}',
+    '',
+    '{{issuingOfficer}}',
+    '{{issuingOfficerDesignation}}',
+    '{{department}}',
+  ].join('\n'),
+};
+
+const ROLE_LABELS = {
+  chairperson: 'Chairperson',
+  secretary: 'Secretary',
+  member: 'Member',
+};
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '';
+
+// Chairperson first, then secretary, then members in their listed order
+const formatMembers = (members) =>
+  [...members]
+    .sort((a, b) => Object.keys(ROLE_LABELS).indexOf(a.role) - Object.keys(ROLE_LABELS).indexOf(b.role))
+    .map((member, index) => {
+      const designation = member.designation ? `, ${member.designation}` : '';
+      return `${index + 1}. ${member.name}${designation} (${ROLE_LABELS[member.role] || 'Member'})`;
+    })
+    .join('\n');
+
+const buildValues = (committee, { referenceNumber, issueDate, officer }) => ({
+  referenceNumber,
+  issueDate: formatDate(issueDate),
+  committeeName: committee.name,
+  purpose: committee.purpose,
+  formationDate: formatDate(committee.formationDate),
+  specificationSubmissionDate: formatDate(committee.specificationSubmissionDate),
+  reviewDate: formatDate(committee.reviewDate),
+  schedule: committee.schedule || '',
+  members: formatMembers(committee.members),
+  department: committee.department || officer.department || '',
+  issuingOfficer: officer.name,
+  issuingOfficerDesignation: officer.designation || '',
+});
+
+const renderTemplate = (text, values) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, key) => (values[key] !== undefined ? values[key] : ''));
+
+const buildDocx = async (subject, lines) => {
+  const doc = new Document({
+    sections: [{
+      children: [
+        new Paragraph({ text: subject, heading: HeadingLevel.HEADING_1 }),
+        ...lines.map((line) => new Paragraph({ children: [new TextRun(line)] })),
+      ],
+    }],
+  });
+  return Packer.toBuffer(doc);
+};
+
+const wrapLine = (line, font, size, maxWidth) => {
+  const words = line.split(' ');
+  const wrapped = [];
+  let current = '';
+
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+      wrapped.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  wrapped.push(current);
+  return wrapped;
+};
+
+const buildPdf = async (subject, lines) => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const margin = 60;
+  const size = 11;
+  const lineHeight = 16;
+
+  let page = pdf.addPage();
+  const { width, height } = page.getSize();
+  let y = height - margin;
+
+  page.drawText(toWinAnsi(subject), { x: margin, y, size: 16, font: bold });
+  y -= lineHeight * 2;
+
+  lines.forEach((line) => {
+    wrapLine(toWinAnsi(line), font, size, width - margin * 2).forEach((text) => {
+      if (y < margin) {
+        page = pdf.addPage();
+        y = height - margin;
+      }
+      page.drawText(text, { x: margin, y, size, font });
+      y -= lineHeight;
+    });
+  });
+
+  return pdf.save();
+};
+
+const reserveReferenceNumber = async (department, date = new Date()) => {
+  const dept = normalizeDepartment(department);
+  const fy = getFiscalYear(date);
+  const seq = await Counter.nextSequence(`letter:${dept}:${fy}`);
+  const pattern = process.env.LETTER_REFERENCE_PATTERN || DEFAULT_REFERENCE_PATTERN;
+
+  return formatIfbNumber(pattern, { dept, fy, seq });
+};
+
+const resolveTemplate = async (templateId) => {
+  if (templateId) {
+    const template = await LetterTemplate.findById(templateId);
+    if (!template) {
+      throw new AppError('No letter template found with that ID', 404);
+    }
+    return template;
+  }
+
+  return (await LetterTemplate.findOne({ isActive: true })) || DEFAULT_TEMPLATE;
+};
+
+const versionKey = (committee) => `letter-version:${committee._id}`;
+
+/**
+ * Reserve the committee's next letter version. The counter is kept level with
+ * the letters on record and incremented atomically, so two generations are
+ * never given the same number. Until a letter exists the sequence starts over
+ * at 1, so a failed first attempt cannot leave the committee stuck.
+ */
+const reserveVersion = async (committee, previous) => {
+  const key = versionKey(committee);
+
+  if (!previous) {
+    await Counter.findOneAndUpdate({ key }, { seq: 1 }, { upsert: true });
+    return 1;
+  }
+
+  // Never behind the letters on record; the upsert clashes harmlessly when it is ahead
+  try {
+    await Counter.updateOne(
+      { key, seq: { $lt: previous.version } },
+      { $set: { seq: previous.version } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  return Counter.nextSequence(key);
+};
+
+// Hand a reserved version back, unless a later generation has taken the next one
+const releaseVersion = (committee, version) =>
+  Counter.updateOne({ key: versionKey(committee), seq: version }, { $inc: { seq: -1 } });
+
+const removeFiles = (paths) => {
+  paths.forEach((filePath) => {
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== 'ENOENT') console.error('Error deleting letter file:', err);
+    });
+  });
+};
+
+// Generate the next version of a committee's formation letter as DOCX and PDF.
+// The first version reserves a reference number; later versions keep it.
+const generateLetter = async (committee, officer, templateId) => {
+  if (committee.approvalStatus !== 'approved') {
+    throw new AppError('Formation letters can only be generated for approved committees', 409);
+  }
+
+  const template = await resolveTemplate(templateId);
+  const previous = await FormationLetter.findOne({ committee: committee._id }).sort('-version');
+  const version = await reserveVersion(committee, previous);
+  const department = committee.department || officer.department;
+  const files = [];
+
+  try {
+    const referenceNumber = previous
+      ? previous.referenceNumber
+      : await reserveReferenceNumber(department);
+    const issueDate = new Date();
+
+    const values = buildValues(committee, { referenceNumber, issueDate, officer });
+    const subject = renderTemplate(template.subject, values);
+    const lines = renderTemplate(template.body, values).split('\n');
+
+    const baseName = `${referenceNumber.replace(/[^\w-]+/g, '_')}-v${version}`;
+    fs.mkdirSync(LETTERS_DIR, { recursive: true });
+    const docxPath = path.join(LETTERS_DIR, `${baseName}.docx`);
+    const pdfPath = path.join(LETTERS_DIR, `${baseName}.pdf`);
+
+    const docxBytes = await buildDocx(subject, lines);
+    const pdfBytes = await buildPdf(subject, lines);
+
+    // 'wx' refuses to overwrite, so a racing generation cannot clobber another letter's files
+    await fs.promises.writeFile(docxPath, docxBytes, { flag: 'wx' });
+    files.push(docxPath);
+    await fs.promises.writeFile(pdfPath, pdfBytes, { flag: 'wx' });
+    files.push(pdfPath);
+
+    return await FormationLetter.create({
+      committee: committee._id,
+      referenceNumber,
+      version,
+      issueDate,
+      department,
+      purpose: committee.purpose,
+      template: template._id,
+      templateName: template.name,
+      files: {
+        docx: {
+          filename: `${baseName}.docx`,
+          path: docxPath,
+          mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          size: docxBytes.length,
+        },
+        pdf: {
+          filename: `${baseName}.pdf`,
+          path: pdfPath,
+          mimetype: 'application/pdf',
+          size: pdfBytes.length,
+        },
+      },
+      issuedBy: officer._id,
+    });
+  } catch (err) {
+    removeFiles(files);
+    // Two first versions generated at once: the other one was recorded first
+    // and keeps the number
+    if (err.code === 11000 || err.code === 'EEXIST') {
+      throw new AppError('A new version of this letter was just generated; please retry', 409);
+    }
+    await releaseVersion(committee, version);
+    throw err;
+  }
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  renderTemplate,
+  generateLetter,
+};
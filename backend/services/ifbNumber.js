@@ -0,0 +1,112 @@
+const Counter = require('../models/counterModel.js');
+const AppError = require('../utils/appError.js');
+
+const DEFAULT_PATTERN = '{DEPT}/{FY}/{SEQ:000}';
+
+const getPattern = () => process.env.IFB_NUMBER_PATTERN || DEFAULT_PATTERN;
+
+// Fiscal years start in July by default, e.g. 2025-07-01 falls in "2025-26"
+const getFiscalYear = (date = new Date()) => {
+  const startMonth = parseInt(process.env.FISCAL_YEAR_START_MONTH, 10) || 7;
+  const year = date.getFullYear();
+  const startYear = date.getMonth() + 1 >= startMonth ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+const normalizeDepartment = (department) => {
+  if (typeof department !== 'string' || !department.trim()) {
+    throw new AppError('Department is required to generate an IFB number', 400);
+  }
+  return department.trim().toUpperCase().replace(/\s+/g, '-');
+};
+
+const formatIfbNumber = (pattern, { dept, fy, seq }) =>
+  pattern
+    .replace(/\{DEPT\}/g, dept)
+    .replace(/\{FY\}/g, fy)
+    .replace(/\{SEQ(?::(0+))?\}/g, (match, padding) =>
+      String(seq).padStart(padding ? padding.length : 0, '0')
+    );
+
+const counterKey = (dept, fy) => `ifb:${dept}:${fy}`;
+
+// Show the number the next reservation would receive, without consuming it
+const previewNextIfbNumber = async (department, date = new Date()) => {
+  const dept = normalizeDepartment(department);
+  const fy = getFiscalYear(date);
+  const counter = await Counter.findOne({ key: counterKey(dept, fy) });
+  const seq = (counter ? counter.seq : 0) + 1;
+
+  return formatIfbNumber(getPattern(), { dept, fy, seq });
+};
+
+// Atomically consume the next sequence number for the department and fiscal year
+const reserveIfbNumber = async (department, date = new Date()) => {
+  const dept = normalizeDepartment(department);
+  const fy = getFiscalYear(date);
+  const key = counterKey(dept, fy);
+
+  const seq = await Counter.nextSequence(key);
+
+  return formatIfbNumber(getPattern(), { dept, fy, seq });
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split an IFB number back into the parts of the pattern, or null if it does not follow it
+const parseIfbNumber = (value, pattern = getPattern()) => {
+  const fields = [];
+  const source = pattern
+    .split(/(\{DEPT\}|\{FY\}|\{SEQ(?::0+)?\})/)
+    .map((part, index) => {
+      if (index % 2 === 0) return escapeRegExp(part);
+      if (part === '{DEPT}') {
+        fields.push('dept');
+        return '(.+?)';
+      }
+      if (part === '{FY}') {
+        fields.push('fy');
+        return '(\\d{4}-\\d{2})';
+      }
+      fields.push('seq');
+      return '(\\d+)';
+    })
+    .join('');
+
+  const match = new RegExp(`^${source}$`).exec(value);
+  if (!match) return null;
+
+  const parts = {};
+  fields.forEach((field, index) => {
+    parts[field] = match[index + 1];
+  });
+  return parts;
+};
+
+/**
+ * A typed-in IFB number must be one the counter has already handed out:
+ * anything else could be issued again by a later reservation.
+ */
+const assertReservedIfbNumber = async (value) => {
+  const number = typeof value === 'string' ? value.trim() : '';
+  const parts = parseIfbNumber(number);
+  const valid = parts && parts.dept && parts.fy && parts.seq &&
+    formatIfbNumber(getPattern(), { ...parts, seq: Number(parts.seq) }) === number;
+  if (!valid) {
+    throw new AppError(`IFB number must follow the format ${getPattern()}`, 400);
+  }
+
+  const counter = await Counter.findOne({ key: counterKey(parts.dept, parts.fy) });
+  if (!counter || Number(parts.seq) > counter.seq) {
+    throw new AppError(`IFB number ${number} has not been reserved yet`, 400);
+  }
+};
+
+module.exports = {
+  getFiscalYear,
+  normalizeDepartment,
+  formatIfbNumber,
+  previewNextIfbNumber,
+  reserveIfbNumber,
+  assertReservedIfbNumber,
+};
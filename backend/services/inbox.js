@@ -0,0 +1,78 @@
+const Notification = require('../models/notificationModel.js');
+const User = require('../models/userModel.js');
+const { COMMITTEE_ROLES } = require('../models/committeFormModel.js');
+const realtime = require('./realtime.js');
+
+/**
+ * Write a notification into each recipient's in-app inbox. Recipients are
+ * user IDs; users who turned in-app notifications off are skipped. Failures
+ * are logged rather than thrown, so an inbox problem never undoes the event
+ * being reported.
+ */
+const notifyUsers = async (userIds, notification) => {
+  try {
+    const ids = [...new Set(userIds.filter(Boolean).map((id) => id.toString()))];
+    if (ids.length === 0) return [];
+
+    const users = await User.find({
+      _id: { $in: ids },
+      'reminderPreferences.inApp': { $ne: false },
+    }).select('_id');
+
+    const created = await Notification.insertMany(
+      users.map((user) => ({ ...notification, recipient: user._id }))
+    );
+    created.forEach((doc) => realtime.publish([doc.recipient], 'notification', doc.toJSON()));
+    return created;
+  } catch (error) {
+    console.error('Error writing in-app notifications:', error.message);
+    return [];
+  }
+};
+
+// Committee members are stored by employee ID
+const notifyEmployees = async (employeeIds, notification) => {
+  try {
+    const users = await User.find({ employeeId: { $in: employeeIds.filter(Boolean) } }).select('_id');
+    return await notifyUsers(users.map((user) => user._id), notification);
+  } catch (error) {
+    console.error('Error writing in-app notifications:', error.message);
+    return [];
+  }
+};
+
+// Notify each committee member, carrying their own committee role
+const notifyCommitteeMembers = async (committee, message, extra = {}) => {
+  const results = await Promise.all(
+    committee.members.map((member) =>
+      notifyEmployees([member.employeeId], {
+        type: 'committee',
+        message,
+        ...extra,
+        committeeInfo: {
+          committeeId: committee._id,
+          formationDate: committee.formationDate,
+          submissionDate: committee.specificationSubmissionDate,
+          role: COMMITTEE_ROLES.includes(member.role) ? member.role : 'member',
+          ...extra.committeeInfo,
+        },
+      })
+    )
+  );
+  return results.flat();
+};
+
+// User IDs for a committee's creator and members, for pushing committee events
+const committeeAudience = async (committee) => {
+  const members = await User.find({
+    employeeId: { $in: committee.members.map((member) => member.employeeId) },
+  }).select('_id');
+  return [committee.createdBy._id || committee.createdBy, ...members.map((user) => user._id)];
+};
+
+module.exports = {
+  committeeAudience,
+  notifyUsers,
+  notifyEmployees,
+  notifyCommitteeMembers,
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const FormationLetter = require('../models/formationLetterModel.js');
+const LetterDistribution = require('../models/letterDistributionModel.js');
+const AppError = require('../utils/appError.js');
+const createLogger = require('../utils/logger.js');
+const notifications = require('./notifications');
+
+const logger = createLogger('email');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const getReminderDays = () => parseInt(process.env.LETTER_ACK_REMINDER_DAYS, 10) || 3;
+const getMaxReminders = () => parseInt(process.env.LETTER_ACK_MAX_REMINDERS, 10) || 3;
+
+const getLinkDays = () => parseInt(process.env.LETTER_ACK_LINK_DAYS, 10) || 30;
+
+// A key of its own, so acknowledgment links cannot be forged from anything else signed with it
+const getSecret = () => {
+  if (!process.env.LETTER_ACK_SECRET) {
+    throw new AppError('Letter acknowledgment links are not configured (LETTER_ACK_SECRET)', 500);
+  }
+  return process.env.LETTER_ACK_SECRET;
+};
+
+const getBaseUrl = () =>
+  process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const sign = (id, expires) =>
+  crypto.createHmac('sha256', getSecret()).update(`letter-ack:${id}:${expires}`).digest('base64url');
+
+// Acknowledgment tokens are "<distributionId>.<expiry ms>.<hmac>", so the link needs no login
+const createAckToken = (distribution) => {
+  const expires = Date.now() + getLinkDays() * DAY;
+  return `${distribution._id}.${expires}.${sign(distribution._id, expires)}`;
+};
+
+const verifyAckToken = (token) => {
+  const [id, expires, signature] = String(token).split('.');
+  if (!id || !/^\d+$/.test(expires || '') || !signature) {
+    throw new AppError('This acknowledgment link is invalid', 400);
+  }
+
+  const expected = Buffer.from(sign(id, expires));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new AppError('This acknowledgment link is invalid', 400);
+  }
+  if (Number(expires) < Date.now()) {
+    throw new AppError('This acknowledgment link has expired', 410);
+  }
+  return id;
+};
+
+const acknowledgmentUrl = (distribution) =>
+  `${getBaseUrl()}/api/v1/letter-acknowledgments/${createAckToken(distribution)}`;
+
+// Resolves with the stored outbound message; a failed first attempt stays queued for retry
+const sendLetterEmail = (distribution, letter, committee, reminder) =>
+  notifications.send('formation-letter', {
+    to: distribution.member.email,
+    data: {
+      name: distribution.member.name,
+      committeeName: committee.name,
+      referenceNumber: letter.referenceNumber,
+      version: letter.version,
+      acknowledgmentUrl: acknowledgmentUrl(distribution),
+      reminder,
+    },
+    attachments: [{
+      filename: letter.files.pdf.filename,
+      path: letter.files.pdf.path,
+    }],
+  });
+
+// Send the letter to every member who has not received this version yet,
+// retrying earlier failed deliveries
+const distribute = async (letter, committee, user) => {
+  if (letter.status === 'draft') {
+    throw new AppError('Issue the letter before distributing it', 409);
+  }
+  getSecret();
+
+  const existing = await LetterDistribution.find({ letter: letter._id });
+  const delivered = new Set(
+    existing.filter((d) => d.deliveryStatus !== 'failed').map((d) => d.member.employeeId)
+  );
+  const recipients = committee.members.filter((member) => !delivered.has(member.employeeId));
+  if (recipients.length === 0) {
+    throw new AppError('Every committee member has already received this letter', 409);
+  }
+
+  const results = [];
+
+  for (const member of recipients) {
+    const distribution =
+      existing.find((d) => d.member.employeeId === member.employeeId) ||
+      new LetterDistribution({
+        letter: letter._id,
+        committee: committee._id,
+        member: {
+          employeeId: member.employeeId,
+          name: member.name,
+          email: member.email,
+          role: member.role,
+        },
+      });
+    distribution.distributedBy = user._id;
+    distribution.sentDate = new Date();
+
+    try {
+      const message = await sendLetterEmail(distribution, letter, committee, false);
+      distribution.deliveryStatus = message.status === 'sent' ? 'sent' : 'queued';
+      distribution.deliveryError = message.lastError;
+    } catch (error) {
+      logger.error('Error sending formation letter:', {
+        letterId: letter._id,
+        employeeId: member.employeeId,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+      distribution.deliveryStatus = 'failed';
+      distribution.deliveryError = error.message;
+    }
+
+    await distribution.save();
+    results.push(distribution);
+  }
+
+  letter.status = 'distributed';
+  letter.distributedAt = letter.distributedAt || new Date();
+  await letter.save();
+
+  logger.info('Formation letter distributed:', {
+    letterId: letter._id,
+    sent: results.filter((d) => d.deliveryStatus === 'sent').length,
+    queued: results.filter((d) => d.deliveryStatus === 'queued').length,
+    failed: results.filter((d) => d.deliveryStatus === 'failed').length,
+    timestamp: new Date().toISOString(),
+  });
+
+  return results;
+};
+
+const findByToken = async (token) => {
+  const distribution = await LetterDistribution.findById(verifyAckToken(token))
+    .populate('letter', 'referenceNumber version')
+    .populate('committee', 'name');
+  if (!distribution) {
+    throw new AppError('This acknowledgment link is no longer valid', 404);
+  }
+  return distribution;
+};
+
+// Record an acknowledgment confirmed from the link's page; repeat posts keep the first date
+const acknowledge = async (token, ipAddress) => {
+  const distribution = await findByToken(token);
+
+  if (!distribution.acknowledgmentDate) {
+    distribution.acknowledgmentDate = new Date();
+    distribution.acknowledgmentIp = ipAddress;
+    await distribution.save();
+  }
+
+  return distribution;
+};
+
+const pageTemplate = Handlebars.create();
+pageTemplate.registerHelper('datetime', (value) => (value ? new Date(value).toLocaleString() : ''));
+const renderPage = pageTemplate.compile(
+  fs.readFileSync(path.join(__dirname, '../templates/pages/letter-acknowledgment.hbs'), 'utf8')
+);
+
+// HTML page for the emailed link: a confirmation form, the recorded date, or `error`
+const renderAcknowledgmentPage = (distribution, error) =>
+  renderPage(
+    distribution
+      ? {
+        name: distribution.member.name,
+        committeeName: distribution.committee.name,
+        referenceNumber: distribution.letter.referenceNumber,
+        version: distribution.letter.version,
+        acknowledgmentDate: distribution.acknowledgmentDate,
+      }
+      : { error }
+  );
+
+// A newer issued version replaces the letter, so nobody is chased for the old one
+const isSuperseded = (letter) =>
+  FormationLetter.exists({
+    committee: letter.committee,
+    version: { $gt: letter.version },
+    status: { $in: ['issued', 'distributed'] },
+  });
+
+// Remind members who still have not acknowledged, every N days up to a limit
+const sendAcknowledgmentReminders = async () => {
+  const cutoff = new Date(Date.now() - getReminderDays() * DAY);
+  const due = await LetterDistribution.find({
+    deliveryStatus: { $in: ['sent', 'queued'] },
+    acknowledgmentDate: null,
+    remindersSent: { $lt: getMaxReminders() },
+    $or: [
+      { lastReminderAt: { $lt: cutoff } },
+      { lastReminderAt: null, sentDate: { $lt: cutoff } },
+    ],
+  })
+    .populate('letter')
+    .populate('committee', 'name');
+
+  if (due.length === 0) return 0;
+
+  for (const distribution of due) {
+    if (!distribution.letter || !distribution.committee) continue;
+    if (await isSuperseded(distribution.letter)) continue;
+
+    try {
+      await sendLetterEmail(distribution, distribution.letter, distribution.committee, true);
+      logger.info('Letter acknowledgment reminder sent:', {
+        distributionId: distribution._id,
+        email: distribution.member.email,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Error sending letter acknowledgment reminder:', {
+        distributionId: distribution._id,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Count failed attempts too, so a bad address does not retry forever
+    distribution.remindersSent += 1;
+    distribution.lastReminderAt = new Date();
+    await distribution.save();
+  }
+
+  return due.length;
+};
+
+// Who has and has not acknowledged a letter version
+const acknowledgmentReport = async (letter) => {
+  const distributions = await LetterDistribution.find({ letter: letter._id }).sort('member.name');
+
+  const summarize = (d) => ({
+    employeeId: d.member.employeeId,
+    name: d.member.name,
+    email: d.member.email,
+    role: d.member.role,
+    deliveryStatus: d.deliveryStatus,
+    sentDate: d.sentDate,
+    acknowledgmentDate: d.acknowledgmentDate,
+    remindersSent: d.remindersSent,
+  });
+
+  const acknowledged = distributions.filter((d) => d.acknowledgmentDate).map(summarize);
+  const pending = distributions.filter((d) => !d.acknowledgmentDate).map(summarize);
+
+  return {
+    referenceNumber: letter.referenceNumber,
+    version: letter.version,
+    status: letter.status,
+    total: distributions.length,
+    acknowledgedCount: acknowledged.length,
+    pendingCount: pending.length,
+    acknowledged,
+    pending,
+  };
+};
+
+module.exports = {
+  distribute,
+  findByToken,
+  acknowledge,
+  renderAcknowledgmentPage,
+  sendAcknowledgmentReminders,
+  acknowledgmentReport,
+};
@@ -0,0 +1,156 @@
+const validator = require('validator');
+const OutboundMessage = require('../../models/outboundMessageModel.js');
+const AppError = require('../../utils/appError.js');
+const createLogger = require('../../utils/logger.js');
+const { render } = require('./templates.js');
+const createSmtpTransport = require('./transports/smtp.js');
+const createFileTransport = require('./transports/file.js');
+const { createSmsTransport, registerSmsAdapter } = require('./transports/sms.js');
+
+const logger = createLogger('email');
+
+const MINUTE = 60 * 1000;
+const BATCH_SIZE = 50;
+// A message left "sending" this long belongs to a process that died mid-send
+const STALE_SENDING_MS = 10 * MINUTE;
+
+const getMaxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+
+// Retry after 1, 2, 4, 8... minutes
+const backoff = (attempts) => Math.pow(2, attempts - 1) * MINUTE;
+
+let emailTransport;
+
+// EMAIL_TRANSPORT=file writes emails to logs/outbox.log instead of sending them
+const getTransport = (channel) => {
+  if (channel === 'sms') return createSmsTransport();
+
+  if (!emailTransport) {
+    emailTransport = process.env.EMAIL_TRANSPORT === 'file'
+      ? createFileTransport()
+      : createSmtpTransport();
+  }
+  return emailTransport;
+};
+
+const isValidRecipient = (channel, to) =>
+  channel === 'sms'
+    ? validator.isMobilePhone(String(to), 'any', { strictMode: false })
+    : validator.isEmail(String(to));
+
+// Once a message will not be sent again its body is only a liability
+const clearBody = (message) => {
+  message.html = undefined;
+  message.text = undefined;
+};
+
+const attemptDelivery = async (message) => {
+  if (message.expiresAt && message.expiresAt < Date.now()) {
+    message.status = 'expired';
+    clearBody(message);
+    await message.save();
+    return message;
+  }
+
+  message.attempts += 1;
+  try {
+    await getTransport(message.channel).send(message.toObject());
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.lastError = undefined;
+    clearBody(message);
+    logger.info('Notification sent:', {
+      messageId: message._id,
+      template: message.template,
+      channel: message.channel,
+      to: message.to,
+      attempt: message.attempts,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    message.lastError = error.message;
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'failed';
+      clearBody(message);
+    } else {
+      message.status = 'queued';
+      message.nextAttemptAt = new Date(Date.now() + backoff(message.attempts));
+    }
+    logger.error('Error sending notification:', {
+      messageId: message._id,
+      template: message.template,
+      channel: message.channel,
+      attempt: message.attempts,
+      willRetry: message.status === 'queued',
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  await message.save();
+  return message;
+};
+
+/**
+ * Render a template from templates/notifications and send it. The message is
+ * stored first and tried straight away; if delivery fails it stays queued
+ * and the outbound-messages job retries it. Resolves with the stored message,
+ * so callers can check message.status without having to handle send errors.
+ */
+const send = async (template, { to, channel = 'email', data = {}, attachments = [], expiresAt } = {}) => {
+  const recipients = [].concat(to).filter(Boolean);
+  const valid = recipients.filter((recipient) => isValidRecipient(channel, recipient));
+
+  if (valid.length < recipients.length) {
+    logger.warn('Skipping invalid notification recipients:', {
+      template,
+      invalid: recipients.filter((recipient) => !valid.includes(recipient)),
+    });
+  }
+  if (valid.length === 0) {
+    throw new AppError(`No valid ${channel} recipient for this notification`, 400);
+  }
+
+  const message = await OutboundMessage.create({
+    channel,
+    template,
+    to: valid,
+    ...render(template, channel, data),
+    attachments: channel === 'email' ? attachments : [],
+    // Claimed for the immediate attempt, so the queue job leaves it alone
+    status: 'sending',
+    maxAttempts: getMaxAttempts(),
+    expiresAt,
+  });
+
+  return attemptDelivery(message);
+};
+
+// Retry queued messages that are due, one claimed message at a time
+const processQueue = async () => {
+  await OutboundMessage.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { status: 'queued' }
+  );
+
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const message = await OutboundMessage.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending' },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!message) break;
+
+    await attemptDelivery(message);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  send,
+  processQueue,
+  registerSmsAdapter,
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATE_DIR = path.join(__dirname, '../../templates/notifications');
+
+// Each template is a directory: subject.hbs and html.hbs for email,
+// text.hbs for SMS (and as the plain-text part of email when present)
+const PARTS = ['subject', 'html', 'text'];
+
+const cache = new Map();
+
+const handlebars = Handlebars.create();
+handlebars.registerHelper('date', (value) => (value ? new Date(value).toLocaleDateString() : ''));
+handlebars.registerHelper('datetime', (value) => (value ? new Date(value).toLocaleString() : ''));
+
+const compile = (name) => {
+  const dir = path.join(TEMPLATE_DIR, name);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(dir)) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+
+  const parts = {};
+  PARTS.forEach((part) => {
+    const file = path.join(dir, `${part}.hbs`);
+    if (fs.existsSync(file)) {
+      // Only the HTML body is markup; subjects and SMS text go out verbatim
+      parts[part] = handlebars.compile(fs.readFileSync(file, 'utf8'), { noEscape: part !== 'html' });
+    }
+  });
+  return parts;
+};
+
+const render = (name, channel, data) => {
+  if (!cache.has(name)) cache.set(name, compile(name));
+  const parts = cache.get(name);
+
+  if (channel === 'sms') {
+    if (!parts.text) throw new Error(`Template ${name} has no text.hbs for SMS`);
+    return { text: parts.text(data).trim() };
+  }
+
+  if (!parts.subject || !parts.html) {
+    throw new Error(`Template ${name} needs subject.hbs and html.hbs for email`);
+  }
+  return {
+    subject: parts.subject(data).trim(),
+    html: parts.html(data),
+    text: parts.text ? parts.text(data).trim() : undefined,
+  };
+};
+
+module.exports = { render };
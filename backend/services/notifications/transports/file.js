@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX = path.join(__dirname, '../../../logs/outbox.log');
+
+// Local development sink: append each message to logs/outbox.log and echo it
+const createFileTransport = () => ({
+  name: 'file',
+  send: async (message) => {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      channel: message.channel,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      attachments: (message.attachments || []).map((a) => a.filename),
+    };
+
+    await fs.promises.mkdir(path.dirname(OUTBOX), { recursive: true });
+    await fs.promises.appendFile(OUTBOX, `${JSON.stringify(entry)}\n`);
+    console.log(`[outbox] ${message.channel} to ${[].concat(message.to).join(', ')}: ${message.subject || message.text}`);
+  },
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,39 @@
+const createFileTransport = require('./file.js');
+
+/**
+ * SMS adapters turn a rendered message into a provider API call. An adapter
+ * is an object with an async send({ to, text }) that throws on failure;
+ * register one with registerSmsAdapter(name, adapter) and select it with
+ * SMS_ADAPTER. Until a provider is registered, messages go to the file sink.
+ */
+const adapters = {
+  file: {
+    send: ({ to, text }) => createFileTransport().send({ channel: 'sms', to, text }),
+  },
+};
+
+const registerSmsAdapter = (name, adapter) => {
+  if (!adapter || typeof adapter.send !== 'function') {
+    throw new Error(`SMS adapter ${name} must implement send({ to, text })`);
+  }
+  adapters[name] = adapter;
+};
+
+const createSmsTransport = () => {
+  const name = process.env.SMS_ADAPTER || 'file';
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown SMS adapter: ${name}`);
+  }
+
+  return {
+    name: `sms:${name}`,
+    send: async (message) => {
+      for (const to of message.to) {
+        await adapter.send({ to, text: message.text });
+      }
+    },
+  };
+};
+
+module.exports = { createSmsTransport, registerSmsAdapter };
@@ -0,0 +1,37 @@
+const nodemailer = require('nodemailer');
+
+// SMTP_HOST selects a plain SMTP server; without it the EMAIL_SERVICE
+// well-known service (Gmail by default) is used with EMAIL_USER/EMAIL_PASS
+const createSmtpTransport = () => {
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    })
+    : nodemailer.createTransport({
+      service: process.env.EMAIL_SERVICE || 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      },
+    });
+
+  return {
+    name: 'smtp',
+    send: (message) =>
+      transporter.sendMail({
+        from: process.env.EMAIL_FROM,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: message.attachments,
+      }),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,160 @@
+const Bid = require('../models/bidModel.js');
+const FinancialEvaluation = require('../models/financialEvaluationModel.js');
+const AppError = require('../utils/appError.js');
+const sealedBids = require('./sealedBids.js');
+const tenderLifecycle = require('./tenderLifecycle.js');
+
+const METHODS = ['lowest_evaluated_cost', 'qcbs', 'fixed_budget'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Accept weights as fractions (0.8/0.2) or percentages (80/20)
+const normalizeWeights = (technicalWeight, financialWeight) => {
+  const tw = Number(technicalWeight);
+  const fw = Number(financialWeight);
+  const sum = tw + fw;
+
+  if (!Number.isFinite(sum) || tw < 0 || fw < 0 || sum === 0) {
+    throw new AppError('Please provide valid technical and financial weights', 400);
+  }
+  if (Math.abs(sum - 1) > 1e-9 && Math.abs(sum - 100) > 1e-9) {
+    throw new AppError('Technical and financial weights must add up to 1 (or 100)', 400);
+  }
+  return { technicalWeight: tw / sum, financialWeight: fw / sum };
+};
+
+// financialScore = lowest bid / bid x 100
+const financialScores = (entries) => {
+  const lowest = Math.min(...entries.map((e) => e.bidAmount));
+  return entries.map((e) => ({ ...e, financialScore: round((lowest / e.bidAmount) * 100) }));
+};
+
+const assignRanks = (entries) =>
+  entries.map((entry, index) => ({ ...entry, rank: index + 1, status: 'evaluated' }));
+
+/**
+ * Rank technically qualified bids. Each entry needs vendor, bid, bidAmount
+ * and technicalScore. Returns ranked entries followed by rejected ones.
+ */
+const rankBids = (method, entries, options = {}) => {
+  if (entries.length === 0) return [];
+
+  if (method === 'lowest_evaluated_cost') {
+    const scored = financialScores(entries).map((e) => ({ ...e, totalScore: e.financialScore }));
+    return assignRanks(scored.sort((a, b) => a.bidAmount - b.bidAmount));
+  }
+
+  if (method === 'qcbs') {
+    const { technicalWeight, financialWeight } = normalizeWeights(
+      options.technicalWeight,
+      options.financialWeight
+    );
+    const scored = financialScores(entries).map((e) => ({
+      ...e,
+      totalScore: round(e.technicalScore * technicalWeight + e.financialScore * financialWeight),
+    }));
+    return assignRanks(scored.sort((a, b) => b.totalScore - a.totalScore));
+  }
+
+  if (method === 'fixed_budget') {
+    const budget = Number(options.budget);
+    if (!Number.isFinite(budget) || budget <= 0) {
+      throw new AppError('Please provide a valid budget for fixed budget selection', 400);
+    }
+
+    const withinBudget = entries.filter((e) => e.bidAmount <= budget);
+    const overBudget = entries
+      .filter((e) => e.bidAmount > budget)
+      .map((e) => ({ ...e, status: 'rejected', remarks: 'Bid exceeds the fixed budget' }));
+
+    const ranked = withinBudget.length
+      ? financialScores(withinBudget)
+          .map((e) => ({ ...e, totalScore: e.technicalScore }))
+          .sort((a, b) => b.technicalScore - a.technicalScore)
+      : [];
+    return [...assignRanks(ranked), ...overBudget];
+  }
+
+  throw new AppError(`Selection method must be one of: ${METHODS.join(', ')}`, 400);
+};
+
+const assertNotLocked = async (tender) => {
+  if (await FinancialEvaluation.exists({ tender: tender._id, locked: true })) {
+    throw new AppError('The evaluation of this tender is locked', 409);
+  }
+};
+
+// Compute and store the ranking of a tender's technically qualified bids
+const computeRanking = async (tender, options, user) => {
+  if (!tender.bidsOpenedAt) {
+    throw new AppError('Bids must be opened before ranking', 409);
+  }
+  await assertNotLocked(tender);
+
+  const bids = await Bid.find({ tender: tender._id }).select('+sealedAmount');
+  if (bids.some((bid) => bid.technicalStatus === 'pending')) {
+    throw new AppError('Technical evaluation must be finalized before ranking', 409);
+  }
+
+  const entries = bids
+    .filter((bid) => bid.technicalStatus === 'qualified')
+    .map((bid) => ({
+      vendor: bid.vendor,
+      bid: bid._id,
+      bidAmount: sealedBids.revealAmount(bid),
+      technicalScore: bid.technicalScore,
+    }));
+
+  const results = rankBids(options.method, entries, options);
+  const weights = options.method === 'qcbs'
+    ? normalizeWeights(options.technicalWeight, options.financialWeight)
+    : {};
+
+  const evaluation =
+    (await FinancialEvaluation.findOne({ tender: tender._id })) ||
+    new FinancialEvaluation({ tender: tender._id });
+
+  evaluation.set({
+    method: options.method,
+    technicalWeight: weights.technicalWeight,
+    financialWeight: weights.financialWeight,
+    budget: options.method === 'fixed_budget' ? options.budget : undefined,
+    results,
+    evaluatedBy: user._id,
+    evaluatedAt: new Date(),
+  });
+  await evaluation.save();
+
+  return evaluation;
+};
+
+// Approve the ranking; nothing about the evaluation can change afterwards
+const lockRanking = async (tender, user) => {
+  tenderLifecycle.assertNotSuspended(tender, 'lock the evaluation');
+
+  const evaluation = await FinancialEvaluation.findOne({ tender: tender._id });
+  if (!evaluation) {
+    throw new AppError('This tender has not been ranked yet', 404);
+  }
+  if (evaluation.locked) {
+    throw new AppError('The evaluation of this tender is already locked', 409);
+  }
+
+  evaluation.results.forEach((result) => {
+    if (result.status === 'evaluated') result.status = 'approved';
+  });
+  evaluation.locked = true;
+  evaluation.lockedBy = user._id;
+  evaluation.lockedAt = new Date();
+  await evaluation.save();
+
+  return evaluation;
+};
+
+module.exports = {
+  METHODS,
+  rankBids,
+  assertNotLocked,
+  computeRanking,
+  lockRanking,
+};
@@ -0,0 +1,62 @@
+const EventEmitter = require('events');
+
+// In-process event bus feeding the /api/v1/events stream. Recent events are
+// kept in memory so a client that reconnects with Last-Event-ID gets what it
+// missed; if its last event is gone (evicted, or the server restarted) it is
+// told to resync from the REST endpoints instead.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const BUFFER_SIZE = 1000;
+const buffer = [];
+const bootId = Date.now().toString(36);
+let seq = 0;
+
+const toIds = (userIds) => [...new Set(userIds.filter(Boolean).map((id) => id.toString()))];
+
+// Push an event to the given users' open streams
+const publish = (userIds, type, data) => {
+  const recipients = toIds(userIds);
+  if (recipients.length === 0) return null;
+
+  seq += 1;
+  const event = { id: `${bootId}-${seq}`, type, data, recipients, at: new Date() };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  bus.emit('event', event);
+  return event;
+};
+
+/**
+ * Events for a user after lastEventId. `complete` is false when lastEventId
+ * is no longer in the buffer, so some events may have been missed.
+ */
+const eventsSince = (userId, lastEventId) => {
+  const id = userId.toString();
+  const forUser = (event) => event.recipients.includes(id);
+
+  if (!lastEventId) return { events: [], complete: true };
+
+  const index = buffer.findIndex((event) => event.id === lastEventId);
+  if (index === -1) return { events: [], complete: false };
+
+  return { events: buffer.slice(index + 1).filter(forUser), complete: true };
+};
+
+// Call listener with each new event for the user; returns an unsubscribe function
+const subscribe = (userId, listener) => {
+  const id = userId.toString();
+  const handler = (event) => {
+    if (event.recipients.includes(id)) listener(event);
+  };
+
+  bus.on('event', handler);
+  return () => bus.off('event', handler);
+};
+
+module.exports = {
+  publish,
+  eventsSince,
+  subscribe,
+};
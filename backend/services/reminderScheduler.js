@@ -0,0 +1,236 @@
+const Bid = require('../models/bidModel.js');
+const Committee = require('../models/committeFormModel.js');
+const ReminderJob = require('../models/reminderJobModel.js');
+const Task = require('../models/taskModel.js');
+const Tender = require('../models/tenderModel.js');
+const User = require('../models/userModel.js');
+const inbox = require('./inbox.js');
+const notifications = require('./notifications');
+
+const HOUR = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+// A job left "running" this long belongs to a process that died mid-send
+const STALE_RUNNING_MS = 10 * 60 * 1000;
+
+const DEFAULT_LEAD_HOURS = 24;
+
+const LABELS = {
+  committee_submission: 'specification submission deadline',
+  committee_review: 'specification review',
+  task_due: 'task due date',
+  tender_opening: 'bid opening',
+  tender_clarification: 'clarification deadline',
+};
+
+const leadTimeMs = (user) => {
+  const hours = user.reminderPreferences && user.reminderPreferences.customTime;
+  return (typeof hours === 'number' ? hours : DEFAULT_LEAD_HOURS) * HOUR;
+};
+
+const toIds = (ids) => [...new Set(ids.filter(Boolean).map((id) => (id._id || id).toString()))];
+
+const committeeUserIds = async (committee) => {
+  const members = await User.find({
+    employeeId: { $in: committee.members.map((member) => member.employeeId) },
+  }).select('_id');
+  return toIds([committee.createdBy, ...members.map((user) => user._id)]);
+};
+
+/**
+ * Bring the scheduled reminders for one source in line with its current
+ * deadlines: `deadlines` is a list of { kind, deadline, userIds, title }.
+ * Reminders for deadlines or users that no longer apply are cancelled.
+ */
+const syncSource = async (sourceId, deadlines) => {
+  const now = Date.now();
+  const wanted = [];
+
+  for (const { kind, deadline, userIds, title } of deadlines) {
+    if (!deadline || new Date(deadline) <= now) continue;
+
+    const users = await User.find({ _id: { $in: toIds(userIds) }, isActive: { $ne: false } })
+      .select('reminderPreferences');
+    for (const user of users) {
+      // A lead time that has already passed means remind straight away
+      const runAt = new Date(Math.max(now, new Date(deadline) - leadTimeMs(user)));
+      const job = await ReminderJob.findOneAndUpdate(
+        { user: user._id, kind, sourceId, deadline },
+        { $setOnInsert: { status: 'scheduled' }, $set: { title, runAt } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      // Someone taken off and put back on the same deadline gets their reminder back
+      if (job.status === 'cancelled') {
+        job.status = 'scheduled';
+        await job.save();
+      }
+      wanted.push(job._id);
+    }
+  }
+
+  await ReminderJob.updateMany(
+    { sourceId, status: 'scheduled', _id: { $nin: wanted } },
+    { status: 'cancelled' }
+  );
+};
+
+const syncCommittee = async (committee) => {
+  const userIds = committee.approvalStatus === 'rejected' ? [] : await committeeUserIds(committee);
+  await syncSource(committee._id, [
+    { kind: 'committee_submission', deadline: committee.specificationSubmissionDate, userIds, title: committee.name },
+    { kind: 'committee_review', deadline: committee.reviewDate, userIds, title: committee.name },
+  ]);
+};
+
+const syncTask = async (task) => {
+  const open = ['pending', 'in_progress'].includes(task.status);
+  const userIds = open && task.assignedTo ? [task.assignedTo.user] : [];
+  await syncSource(task._id, [
+    { kind: 'task_due', deadline: task.dueDate, userIds, title: task.title },
+  ]);
+};
+
+// The officer who owns the tender and its evaluation team hear about the
+// opening; bidders who have already bid also hear about the clarification deadline
+const syncTender = async (tender) => {
+  const published = tender.status === 'published';
+  const staff = published
+    ? [
+      tender.createdBy,
+      ...tender.evaluationTeam.filter((member) => member.hasAccess !== false).map((member) => member.user),
+    ]
+    : [];
+  const bidders = published
+    ? (await Bid.find({ tender: tender._id }).select('submittedBy')).map((bid) => bid.submittedBy)
+    : [];
+  const title = tender.ifbNumber ? `${tender.ifbNumber} ${tender.title}` : tender.title;
+
+  await syncSource(tender._id, [
+    { kind: 'tender_opening', deadline: tender.openingDate, userIds: staff, title },
+    { kind: 'tender_clarification', deadline: tender.clarificationDeadline, userIds: [...staff, ...bidders], title },
+  ]);
+};
+
+// Sync hooks run after the change is saved; a failure is logged, not thrown,
+// since the hourly full sync will catch up
+const safely = (sync) => async (doc) => {
+  try {
+    await sync(doc);
+  } catch (error) {
+    console.error('Error scheduling reminders:', doc._id.toString(), error.message);
+  }
+};
+
+// Drop pending reminders for a deleted committee, task or tender
+const cancelReminders = (sourceId) =>
+  ReminderJob.updateMany({ sourceId, status: 'scheduled' }, { status: 'cancelled' });
+
+// Reconcile every upcoming deadline; catches changes made outside the hooks
+const syncAll = async () => {
+  const now = new Date();
+
+  const committees = await Committee.find({
+    $or: [{ specificationSubmissionDate: { $gt: now } }, { reviewDate: { $gt: now } }],
+  });
+  for (const committee of committees) await safely(syncCommittee)(committee);
+
+  const tasks = await Task.find({ dueDate: { $gt: now } });
+  for (const task of tasks) await safely(syncTask)(task);
+
+  const tenders = await Tender.find({
+    $or: [{ openingDate: { $gt: now } }, { clarificationDeadline: { $gt: now } }],
+  });
+  for (const tender of tenders) await safely(syncTender)(tender);
+
+  return committees.length + tasks.length + tenders.length;
+};
+
+// Move a user's scheduled reminders after they change their lead time
+const rescheduleForUser = async (user) => {
+  const lead = leadTimeMs(user);
+  await ReminderJob.updateMany({ user: user._id, status: 'scheduled' }, [
+    { $set: { runAt: { $max: [new Date(), { $subtract: ['$deadline', lead] }] } } },
+  ]);
+};
+
+// Channels are read at send time, so preference changes apply to pending reminders
+const deliver = async (job) => {
+  const user = await User.findById(job.user);
+  if (!user || user.isActive === false) {
+    job.status = 'cancelled';
+    await job.save();
+    return;
+  }
+
+  const preferences = user.reminderPreferences || {};
+  const channels = { email: preferences.email !== false, inApp: preferences.inApp !== false };
+  const label = LABELS[job.kind];
+
+  try {
+    if (channels.email) {
+      await notifications.send('deadline-reminder', {
+        to: user.email,
+        data: { name: user.name, label, title: job.title, deadline: job.deadline },
+        expiresAt: job.deadline,
+      });
+    }
+    if (channels.inApp) {
+      await inbox.notifyUsers([user._id], {
+        type: 'deadline',
+        message: `Reminder: ${label} for ${job.title}`,
+        deadline: job.deadline,
+        reminderTime: (job.deadline - job.runAt) / HOUR,
+        ...(job.kind.startsWith('tender_') ? { tender: job.sourceId } : {}),
+        ...(job.kind.startsWith('committee_') ? { committeeInfo: { committeeId: job.sourceId } } : {}),
+        ...(job.kind === 'task_due' ? { committeeInfo: { taskId: job.sourceId } } : {}),
+      });
+    }
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.channels = channels;
+  } catch (error) {
+    job.status = 'failed';
+    job.lastError = error.message;
+    console.error('Error sending deadline reminder:', job._id.toString(), error.message);
+  }
+
+  await job.save();
+};
+
+// Send every reminder that is due, claiming each job so it is sent once
+const runDueReminders = async () => {
+  await ReminderJob.updateMany(
+    { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_RUNNING_MS) } },
+    { status: 'scheduled' }
+  );
+
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const job = await ReminderJob.findOneAndUpdate(
+      { status: 'scheduled', runAt: { $lte: new Date() } },
+      { status: 'running' },
+      { new: true, sort: { runAt: 1 } }
+    );
+    if (!job) break;
+
+    // Deadlines that slipped by while the server was down are not worth a reminder
+    if (job.deadline <= Date.now()) {
+      job.status = 'cancelled';
+      await job.save();
+    } else {
+      await deliver(job);
+    }
+    processed += 1;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  syncCommittee: safely(syncCommittee),
+  syncTask: safely(syncTask),
+  syncTender: safely(syncTender),
+  syncAll,
+  cancelReminders,
+  rescheduleForUser,
+  runDueReminders,
+};
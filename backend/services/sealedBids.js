@@ -0,0 +1,81 @@
+const AppError = require('../utils/appError.js');
+const bidCrypto = require('../utils/bidCrypto.js');
+const createLogger = require('../utils/logger.js');
+
+// Every attempt to read sealed bid contents is recorded here
+const logger = createLogger('bid-access');
+
+const OFFICER_ROLES = ['admin', 'procurement_officer'];
+
+const isTeamMember = (tender, user) =>
+  tender.evaluationTeam.some((member) => member.user.toString() === user._id.toString());
+
+// Officers and the tender's evaluation team may see bid metadata
+const assertCanViewBids = (tender, user) => {
+  if (!OFFICER_ROLES.includes(user.role) && !isTeamMember(tender, user)) {
+    throw new AppError('You do not have permission to perform this action', 403);
+  }
+};
+
+// Refuse (and log) any read of bid contents before the bids have been opened
+const assertBidsOpened = (tender, user, details = {}) => {
+  if (tender.bidsOpenedAt) return;
+
+  logger.warn('Sealed bid access refused:', {
+    tenderId: tender._id,
+    userId: user._id,
+    role: user.role,
+    ...details,
+    timestamp: new Date().toISOString(),
+  });
+  throw new AppError('Bids are sealed until the bid opening', 403);
+};
+
+// Opening is done by an evaluation team member once the opening date has passed
+const openBids = async (tender, user) => {
+  if (!isTeamMember(tender, user)) {
+    logger.warn('Bid opening refused for non-member:', {
+      tenderId: tender._id,
+      userId: user._id,
+      timestamp: new Date().toISOString(),
+    });
+    throw new AppError('Only evaluation team members can open bids', 403);
+  }
+
+  if (tender.bidsOpenedAt) {
+    throw new AppError('Bids for this tender have already been opened', 409);
+  }
+
+  if (tender.openingDate > Date.now()) {
+    logger.warn('Early bid opening refused:', {
+      tenderId: tender._id,
+      userId: user._id,
+      openingDate: tender.openingDate,
+      timestamp: new Date().toISOString(),
+    });
+    throw new AppError('Bids cannot be opened before the opening date', 403);
+  }
+
+  tender.bidsOpenedAt = new Date();
+  tender.bidsOpenedBy = user._id;
+  await tender.save();
+
+  logger.info('Bids opened:', {
+    tenderId: tender._id,
+    openedBy: user._id,
+    timestamp: tender.bidsOpenedAt.toISOString(),
+  });
+
+  return tender;
+};
+
+const revealAmount = (bid) => Number(bidCrypto.decryptValue(bid.sealedAmount));
+
+module.exports = {
+  logger,
+  isTeamMember,
+  assertCanViewBids,
+  assertBidsOpened,
+  openBids,
+  revealAmount,
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/sessionModel.js');
+const { MAX_PREVIOUS_TOKENS } = require('../models/sessionModel.js');
+const AppError = require('../utils/appError.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const getAccessExpiry = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const getRefreshDays = () => parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 30;
+const getReuseGraceSeconds = () => parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random secret>"; only the secret's hash is stored
+const issueRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { token: `${session._id}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, hash: hashToken(secret) };
+};
+
+const clientDetails = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+});
+
+// Short-lived access token, tied to the session so revoking it takes effect at once
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: getAccessExpiry(),
+  });
+
+// Start a session for a new sign-in on this device
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...clientDetails(req),
+    expiresAt: new Date(Date.now() + getRefreshDays() * DAY),
+  });
+  const { token, hash } = issueRefreshToken(session);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken: token };
+};
+
+// The token rotated a moment ago, as when two tabs refresh at once: the
+// other request already holds its successor, so this is not a copy
+const isJustRotated = async (parsed) => {
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    revokedAt: null,
+    lastUsedAt: { $gt: new Date(Date.now() - getReuseGraceSeconds() * 1000) },
+  }).select('+previousTokenHashes');
+
+  return !!session && session.previousTokenHashes[session.previousTokenHashes.length - 1] === parsed.hash;
+};
+
+/**
+ * Swap a refresh token for a new one. Presenting a token that was already
+ * rotated means it was copied: the whole session is revoked, so neither the
+ * thief nor the owner can keep using it. The token rotated last is let off
+ * for a few seconds, since concurrent refreshes from one client race.
+ */
+const rotate = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const next = issueRefreshToken({ _id: parsed.sessionId });
+  // Conditional on the current hash, so two refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: parsed.hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: { refreshTokenHash: next.hash, lastUsedAt: new Date(), ...clientDetails(req) },
+      $push: { previousTokenHashes: { $each: [parsed.hash], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { new: true }
+  ).populate('user');
+
+  if (session && (!session.user || !session.user.isActive)) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: new Date(), revokedReason: 'revoked' });
+    throw new AppError('Your account is no longer active', 401);
+  }
+  if (session) {
+    return { session, user: session.user, refreshToken: next.token };
+  }
+
+  if (await isJustRotated(parsed)) {
+    throw new AppError('This refresh token was just replaced - use the new one', 409);
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, previousTokenHashes: parsed.hash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+  );
+  if (reused) {
+    console.warn('Refresh token reuse detected, session revoked:', {
+      timestamp: new Date().toISOString(),
+      sessionId: reused._id,
+      userId: reused.user,
+      ipAddress: req.ip,
+    });
+  }
+
+  throw new AppError('Your session has expired - please log in again', 401);
+};
+
+// Active session for an access token; null once revoked or expired
+const findActiveSession = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  return session && session.isActive() ? session : null;
+};
+
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort('-lastUsedAt');
+
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+  if (!session) {
+    throw new AppError('No active session found with that ID', 404);
+  }
+  return session;
+};
+
+// Revoke every session of a user, optionally keeping the one making the request
+const revokeAllSessions = async (userId, reason = 'revoked', exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// Logout needs only the refresh token, so it works after the access token expires
+const revokeByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  return Session.findOneAndUpdate(
+    { _id: parsed.sessionId, refreshTokenHash: parsed.hash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotate,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeByRefreshToken,
+};
@@ -0,0 +1,55 @@
+const Task = require('../models/taskModel.js');
+const createLogger = require('../utils/logger.js');
+const notifications = require('./notifications');
+const inbox = require('./inbox.js');
+
+const logger = createLogger('email');
+
+const notifyAssignee = async (task) => {
+  if (!task.assignedTo || !task.assignedTo.email) return;
+
+  try {
+    await notifications.send('task-overdue', {
+      to: task.assignedTo.email,
+      data: { name: task.assignedTo.name, title: task.title, dueDate: task.dueDate },
+    });
+    logger.info('Overdue task email sent:', {
+      taskId: task._id,
+      email: task.assignedTo.email,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Error sending overdue task email:', {
+      taskId: task._id,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+// Flip open tasks past their due date to overdue and tell the assignee, once
+// per due date: a task reopened without a new date is not flagged again
+const markOverdueTasks = async () => {
+  const tasks = await Task.find({
+    status: { $in: ['pending', 'in_progress'] },
+    dueDate: { $lt: new Date() },
+    overdueNotifiedAt: null,
+  });
+
+  for (const task of tasks) {
+    task.status = 'overdue';
+    task.overdueNotifiedAt = new Date();
+    await task.save();
+    await notifyAssignee(task);
+    await inbox.notifyUsers([task.assignedTo && task.assignedTo.user], {
+      type: 'deadline',
+      message: `Your task "${task.title}" is overdue`,
+      deadline: task.dueDate,
+      committeeInfo: { committeeId: task.committee, taskId: task._id },
+    });
+  }
+
+  return tasks.length;
+};
+
+module.exports = { markOverdueTasks };
@@ -0,0 +1,170 @@
+const Bid = require('../models/bidModel.js');
+const Tender = require('../models/tenderModel.js');
+const TechnicalScore = require('../models/technicalScoreModel.js');
+const AppError = require('../utils/appError.js');
+
+// Spread (in points out of 100) between evaluators that gets flagged for review
+const getDisagreementThreshold = () =>
+  parseFloat(process.env.TECHNICAL_DISAGREEMENT_THRESHOLD) || 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const findCriteria = (tender, criteriaId) => {
+  const criteria = tender.technicalCriteria.id(criteriaId);
+  if (!criteria) {
+    throw new AppError(`No technical criteria found with ID ${criteriaId}`, 400);
+  }
+  return criteria;
+};
+
+// Reject scores outside 0..maxScore for their criterion
+const validateScore = (tender, criteriaId, score) => {
+  const criteria = findCriteria(tender, criteriaId);
+  const value = Number(score);
+
+  if (!Number.isFinite(value) || value < 0 || value > criteria.maxScore) {
+    throw new AppError(
+      `Score for '${criteria.name}' must be between 0 and ${criteria.maxScore}`,
+      400
+    );
+  }
+  return value;
+};
+
+/**
+ * Weighted total out of 100 for one evaluator's scores of one vendor.
+ * Returns null until every criterion has been scored.
+ */
+const computeWeightedTotal = (criteriaList, scores) => {
+  const totalWeight = criteriaList.reduce((sum, c) => sum + c.weight, 0);
+  if (criteriaList.length === 0 || totalWeight === 0) return null;
+
+  let weighted = 0;
+  for (const criteria of criteriaList) {
+    const entry = scores.find((s) => s.criteria.toString() === criteria._id.toString());
+    if (!entry) return null;
+    weighted += (entry.score / criteria.maxScore) * criteria.weight;
+  }
+
+  return round((weighted / totalWeight) * 100);
+};
+
+// Per-vendor technical results across all evaluators
+const summarize = async (tender) => {
+  const scores = await TechnicalScore.find({ tender: tender._id });
+
+  const byVendor = new Map();
+  scores.forEach((score) => {
+    const vendorId = score.vendor.toString();
+    const evaluatorId = score.evaluator.toString();
+    if (!byVendor.has(vendorId)) byVendor.set(vendorId, new Map());
+    const byEvaluator = byVendor.get(vendorId);
+    if (!byEvaluator.has(evaluatorId)) byEvaluator.set(evaluatorId, []);
+    byEvaluator.get(evaluatorId).push(score);
+  });
+
+  const threshold = getDisagreementThreshold();
+
+  return Array.from(byVendor.entries()).map(([vendorId, byEvaluator]) => {
+    const evaluators = Array.from(byEvaluator.entries()).map(([evaluatorId, entries]) => ({
+      evaluator: evaluatorId,
+      total: computeWeightedTotal(tender.technicalCriteria, entries),
+    }));
+
+    const totals = evaluators.map((e) => e.total).filter((t) => t !== null);
+    const technicalScore = totals.length
+      ? round(totals.reduce((sum, t) => sum + t, 0) / totals.length)
+      : null;
+    const spread = totals.length ? round(Math.max(...totals) - Math.min(...totals)) : 0;
+
+    return {
+      vendor: vendorId,
+      evaluators,
+      technicalScore,
+      spread,
+      disagreement: spread > threshold,
+      passed: technicalScore !== null && technicalScore >= tender.technicalPassMark,
+    };
+  });
+};
+
+const assertNotFinalized = (tender) => {
+  if (tender.technicalFinalizedAt) {
+    throw new AppError('The technical evaluation of this tender has been finalized', 409);
+  }
+};
+
+/**
+ * Persist technical scores on the bids; vendors below the pass mark are
+ * disqualified from the financial stage. Finalizing happens once. Flagged
+ * disagreement between evaluators needs the finalizer's acknowledgement,
+ * given as a note that is kept with the tender.
+ */
+const finalize = async (tender, user, { disagreementNote } = {}) => {
+  assertNotFinalized(tender);
+
+  const results = await summarize(tender);
+  const bids = await Bid.find({ tender: tender._id });
+
+  const missing = bids.filter((bid) => {
+    const result = results.find((r) => r.vendor === bid.vendor.toString());
+    return !result || result.technicalScore === null;
+  });
+  if (missing.length > 0) {
+    throw new AppError(
+      `${missing.length} bid(s) have not been fully evaluated by any evaluator`,
+      409
+    );
+  }
+
+  const disputed = results.filter((r) => r.disagreement);
+  const note = typeof disagreementNote === 'string' ? disagreementNote.trim() : '';
+  if (disputed.length > 0 && !note) {
+    throw new AppError(
+      `Evaluators disagree on ${disputed.length} vendor(s); reconcile the scores or finalize with a disagreementNote`,
+      409
+    );
+  }
+
+  // Claimed with a conditional update, so two finalize requests cannot both run
+  const finalizedAt = new Date();
+  const claimed = await Tender.updateOne(
+    { _id: tender._id, technicalFinalizedAt: null },
+    {
+      technicalFinalizedAt: finalizedAt,
+      technicalFinalizedBy: user._id,
+      technicalDisagreementNote: disputed.length > 0 ? note : undefined,
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new AppError('The technical evaluation of this tender has been finalized', 409);
+  }
+
+  try {
+    for (const bid of bids) {
+      const result = results.find((r) => r.vendor === bid.vendor.toString());
+      bid.technicalScore = result.technicalScore;
+      bid.technicalStatus = result.passed ? 'qualified' : 'disqualified';
+      await bid.save();
+    }
+  } catch (err) {
+    await Tender.updateOne(
+      { _id: tender._id, technicalFinalizedAt: finalizedAt },
+      { $unset: { technicalFinalizedAt: 1, technicalFinalizedBy: 1, technicalDisagreementNote: 1 } }
+    );
+    throw err;
+  }
+
+  tender.technicalFinalizedAt = finalizedAt;
+  tender.technicalFinalizedBy = user._id;
+  if (disputed.length > 0) tender.technicalDisagreementNote = note;
+  return results;
+};
+
+module.exports = {
+  validateScore,
+  computeWeightedTotal,
+  summarize,
+  assertNotFinalized,
+  finalize,
+};
@@ -0,0 +1,209 @@
+const Tender = require('../models/tenderModel.js');
+const FinancialEvaluation = require('../models/financialEvaluationModel.js');
+const AppError = require('../utils/appError.js');
+const inbox = require('./inbox.js');
+const realtime = require('./realtime.js');
+const reminderScheduler = require('./reminderScheduler.js');
+
+// Each action moves one field of the tender between states. `guard` returns
+// (or resolves to) an error message when the tender is not ready for the
+// transition; `apply` makes any further changes the transition implies.
+const ACTIONS = {
+  approve: {
+    field: 'approvalStatus',
+    from: ['pending'],
+    to: 'approved',
+    guard: (tender) => tender.status !== 'draft' && 'Only draft tenders can be approved',
+  },
+  reject: {
+    field: 'approvalStatus',
+    from: ['pending'],
+    to: 'rejected',
+    guard: (tender) => tender.status !== 'draft' && 'Only draft tenders can be rejected',
+  },
+  resubmit: {
+    field: 'approvalStatus',
+    from: ['rejected'],
+    to: 'pending',
+  },
+  publish: {
+    field: 'status',
+    from: ['draft'],
+    to: 'published',
+    guard: (tender) => {
+      if (tender.approvalStatus !== 'approved') return 'Tender must be approved before publishing';
+      if (!tender.ifbNumber) return 'Tender must have an IFB number before publishing';
+      if (!tender.documents || tender.documents.length === 0) {
+        return 'Tender must have at least one document before publishing';
+      }
+      if (tender.openingDate <= Date.now()) return 'Opening date must be in the future';
+      return null;
+    },
+  },
+  close: {
+    field: 'status',
+    from: ['published'],
+    to: 'closed',
+    guard: (tender) => tender.openingDate > Date.now() && 'Tender cannot close before its opening date',
+  },
+  award: {
+    field: 'status',
+    from: ['closed'],
+    to: 'awarded',
+    guard: async (tender) => {
+      if (tender.suspension && tender.suspension.active) {
+        return 'Tender is suspended while a complaint is under review';
+      }
+      const evaluation = await FinancialEvaluation.findOne({ tender: tender._id, locked: true });
+      if (!evaluation) return 'The evaluation must be locked before award';
+      if (!evaluation.results.some((r) => r.rank === 1)) return 'No bid qualified for award';
+      return null;
+    },
+    apply: async (tender) => {
+      const evaluation = await FinancialEvaluation.findOne({ tender: tender._id, locked: true });
+      tender.awardedTo = evaluation.results.find((r) => r.rank === 1).vendor;
+      tender.awardedAt = new Date();
+    },
+  },
+};
+
+/**
+ * Apply a lifecycle action to a tender and record it in the tender's history.
+ * `actor` is the user performing the action, or null for system transitions.
+ */
+const transition = async (tender, action, actor, note) => {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new AppError(`Unknown tender action: ${action}`, 400);
+  }
+
+  const current = tender[definition.field];
+  if (!definition.from.includes(current)) {
+    throw new AppError(
+      `Cannot ${action} a tender whose ${definition.field} is '${current}'`,
+      409
+    );
+  }
+
+  const reason = definition.guard && (await definition.guard(tender));
+  if (reason) {
+    throw new AppError(reason, 409);
+  }
+
+  tender[definition.field] = definition.to;
+  if (definition.apply) {
+    await definition.apply(tender);
+  }
+  if (action === 'publish' && !tender.publishDate) {
+    tender.publishDate = new Date();
+  }
+
+  tender.history.push({
+    field: definition.field,
+    from: current,
+    to: definition.to,
+    actor: actor ? actor._id : null,
+    note,
+    at: new Date(),
+  });
+
+  await tender.save();
+
+  const ownerId = tender.createdBy._id || tender.createdBy;
+  realtime.publish(
+    [ownerId, ...tender.evaluationTeam.map((member) => member.user._id || member.user)],
+    'tender.status',
+    { tenderId: tender._id, field: definition.field, from: current, to: definition.to, note }
+  );
+
+  // Let the tender's owner know when someone else (or the system) moves it on
+  if (!actor || actor._id.toString() !== ownerId.toString()) {
+    await inbox.notifyUsers([ownerId], {
+      type: 'status_change',
+      message: `Tender ${tender.ifbNumber || tender.title}: ${definition.field === 'status' ? 'status' : 'approval'} changed from ${current} to ${definition.to}${note ? ` (${note})` : ''}`,
+      tender: tender._id,
+    });
+  }
+
+  // Publishing schedules the opening reminders; closing or awarding cancels them
+  if (definition.field === 'status') {
+    await reminderScheduler.syncTender(tender);
+  }
+
+  return tender;
+};
+
+// Close every published tender whose opening date has passed
+const closeDueTenders = async () => {
+  const dueTenders = await Tender.find({
+    status: 'published',
+    openingDate: { $lte: new Date() },
+  });
+
+  for (const tender of dueTenders) {
+    try {
+      await transition(tender, 'close', null, 'Closed automatically at opening date');
+    } catch (err) {
+      console.error('Error closing tender:', tender._id.toString(), err.message);
+    }
+  }
+
+  return dueTenders.length;
+};
+
+// Refuse award-stage actions while a complaint holds the tender in standstill
+const assertNotSuspended = (tender, action) => {
+  if (tender.suspension && tender.suspension.active) {
+    throw new AppError(`Cannot ${action} while the tender is suspended by a complaint`, 409);
+  }
+};
+
+const recordSuspension = (tender, from, to, complaint, actor, note) => {
+  tender.history.push({
+    field: 'suspension',
+    from,
+    to,
+    actor: actor ? actor._id : null,
+    note: `${note} (complaint ${complaint._id})`,
+    at: new Date(),
+  });
+};
+
+// Put a tender in standstill on behalf of a complaint
+const suspend = async (tender, complaint, actor) => {
+  if (tender.suspension && tender.suspension.active) return tender;
+
+  tender.suspension = { active: true, complaint: complaint._id, since: new Date() };
+  recordSuspension(tender, 'active', 'suspended', complaint, actor, 'Suspended pending complaint review');
+  await tender.save();
+  return tender;
+};
+
+/**
+ * Lift the standstill held by `complaint`. If another complaint still
+ * qualifies, the suspension passes to it instead of being lifted.
+ */
+const liftSuspension = async (tender, complaint, actor, nextComplaint) => {
+  if (!tender.suspension || !tender.suspension.active) return tender;
+  if (tender.suspension.complaint.toString() !== complaint._id.toString()) return tender;
+
+  if (nextComplaint) {
+    tender.suspension.complaint = nextComplaint._id;
+    recordSuspension(tender, 'suspended', 'suspended', nextComplaint, actor, 'Suspension continued by another complaint');
+  } else {
+    tender.suspension = { active: false };
+    recordSuspension(tender, 'suspended', 'active', complaint, actor, `Suspension lifted, complaint ${complaint.status}`);
+  }
+
+  await tender.save();
+  return tender;
+};
+
+module.exports = {
+  ACTIONS,
+  transition,
+  closeDueTenders,
+  assertNotSuspended,
+  suspend,
+  liftSuspension,
+};
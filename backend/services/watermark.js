@@ -0,0 +1,42 @@
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const toWinAnsi = require('../utils/winAnsi.js');
+
+/**
+ * Stamp every page of a PDF with the viewer's identity and a trace ID so a
+ * leaked copy can be traced back to its access-log entry.
+ */
+const watermarkPdf = async (pdfBytes, { name, employeeId, timestamp, traceId }) => {
+  const pdf = await PDFDocument.load(pdfBytes);
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  // Non-Latin names come out as "?"; the employee ID and trace ID still identify the viewer
+  const stamp = toWinAnsi(`${name} (${employeeId}) - ${timestamp.toISOString()}`);
+  const trace = `Trace ID: ${traceId}`;
+
+  pdf.getPages().forEach((page) => {
+    const { width, height } = page.getSize();
+    const diagonalSize = Math.min(width, height) / 22;
+
+    page.drawText(stamp, {
+      x: width * 0.12,
+      y: height * 0.3,
+      size: diagonalSize,
+      font,
+      color: rgb(0.6, 0.6, 0.6),
+      opacity: 0.35,
+      rotate: degrees(35),
+    });
+
+    page.drawText(`CONFIDENTIAL - ${stamp} - ${trace}`, {
+      x: 20,
+      y: 12,
+      size: 7,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+  });
+
+  return pdf.save();
+};
+
+module.exports = { watermarkPdf };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const AppError = require('./appError.js');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// BID_ENCRYPTION_KEY must be 32 bytes, given as 64 hex characters
+const getKey = () => {
+  const key = process.env.BID_ENCRYPTION_KEY;
+  if (!key || !/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new AppError('Bid encryption key is not configured', 500);
+  }
+  return Buffer.from(key, 'hex');
+};
+
+const encryptBuffer = (buffer) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data,
+  };
+};
+
+const decryptBuffer = (data, { iv, tag }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+// Encrypt a string value into a storable { iv, tag, data } object
+exports.encryptValue = (value) => {
+  const { iv, tag, data } = encryptBuffer(Buffer.from(String(value), 'utf8'));
+  return { iv, tag, data: data.toString('base64') };
+};
+
+exports.decryptValue = (sealed) =>
+  decryptBuffer(Buffer.from(sealed.data, 'base64'), sealed).toString('utf8');
+
+// Write an uploaded file's contents to disk encrypted; the plaintext never touches disk
+exports.encryptToFile = async (plaintext, filePath) => {
+  const { iv, tag, data } = encryptBuffer(plaintext);
+  await fs.promises.writeFile(filePath, data);
+
+  return { path: filePath, iv, tag };
+};
+
+exports.decryptFile = async (filePath, { iv, tag }) => {
+  const data = await fs.promises.readFile(filePath);
+  return decryptBuffer(data, { iv, tag });
+};
@@ -0,0 +1,23 @@
+const winston = require('winston');
+
+const loggers = new Map();
+
+// JSON logger writing to logs/<name>.log and the console; one per file
+const createLogger = (name) => {
+  if (!loggers.has(name)) {
+    loggers.set(name, winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: `logs/${name}.log` }),
+        new winston.transports.Console()
+      ]
+    }));
+  }
+  return loggers.get(name);
+};
+
+module.exports = createLogger;
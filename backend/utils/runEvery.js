@@ -0,0 +1,14 @@
+// Run an async task now and then on a fixed interval, logging failures
+// instead of letting them crash the process.
+module.exports = (name, intervalMs, task) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Job ${name} failed:`, err.message);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+// The fields of a multer upload that are stored on a record
+const mapUploadedFiles = (files = []) =>
+  files.map((file) => ({
+    filename: file.filename,
+    path: file.path,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+  }));
+
+// Delete uploads that will not be kept, such as those of a failed request
+const removeUploadedFiles = (files = []) => {
+  files.forEach((file) => {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error('Error deleting uploaded file:', err);
+    });
+  });
+};
+
+module.exports = {
+  mapUploadedFiles,
+  removeUploadedFiles,
+};
@@ -0,0 +1,4 @@
+// The standard PDF fonts only cover WinAnsi; anything else is replaced
+const toWinAnsi = (text) => String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+module.exports = toWinAnsi;